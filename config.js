@@ -1,4 +1,5 @@
 require("dotenv").config();
+const path = require("path");
 
 const config = {
   // MongoDB Configuration
@@ -13,6 +14,75 @@ const config = {
     baseUrl: "https://api.3commas.io/public/api",
     apiPrefix: "/public/api",
     defaultAccountId: process.env.THREE_COMMAS_ACCOUNT_ID,
+    timeout: parseInt(process.env.THREE_COMMAS_TIMEOUT_MS || "15000"),
+    maxRetries: parseInt(process.env.THREE_COMMAS_MAX_RETRIES || "3"),
+    retryBaseDelayMs: parseInt(
+      process.env.THREE_COMMAS_RETRY_BASE_DELAY_MS || "500"
+    ),
+    // 3Commas allows a limited number of signed requests per minute per key
+    rateLimitPerMinute: parseInt(
+      process.env.THREE_COMMAS_RATE_LIMIT_PER_MINUTE || "60"
+    ),
+  },
+
+  // Binance API Configuration
+  binance: {
+    baseUrl: process.env.BINANCE_API_BASE_URL || "https://api.binance.com",
+    recvWindow: 5000,
+    timeout: 15000,
+  },
+
+  // Other exchanges, only called to verify credentials when connecting
+  exchanges: {
+    binanceFutures: {
+      baseUrl:
+        process.env.BINANCE_FUTURES_API_BASE_URL || "https://fapi.binance.com",
+    },
+    bybit: {
+      baseUrl: process.env.BYBIT_API_BASE_URL || "https://api.bybit.com",
+    },
+    kucoin: {
+      baseUrl: process.env.KUCOIN_API_BASE_URL || "https://api.kucoin.com",
+    },
+    okx: {
+      baseUrl: process.env.OKX_API_BASE_URL || "https://www.okx.com",
+    },
+    recvWindow: 5000,
+    timeout: 15000,
+  },
+
+  // Authentication (JWT signed with a shared secret or verified against a JWKS)
+  auth: {
+    jwtSecret: process.env.JWT_SECRET,
+    jwksUri: process.env.JWT_JWKS_URI,
+    issuer: process.env.JWT_ISSUER,
+    audience: process.env.JWT_AUDIENCE,
+    // Claim holding the Memberstack member id
+    userIdClaim: process.env.JWT_USER_ID_CLAIM || "sub",
+    // Memberstack ids allowed to read every user's audit trail
+    supportUserIds: (process.env.SUPPORT_USER_IDS || "")
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean),
+  },
+
+  // Background jobs
+  jobs: {
+    dealSync: {
+      enabled: process.env.DEAL_SYNC_ENABLED !== "false",
+      intervalMs: parseInt(process.env.DEAL_SYNC_INTERVAL_MS || "300000"),
+    },
+    reconcile: {
+      enabled: process.env.RECONCILE_ENABLED !== "false",
+      intervalMs: parseInt(process.env.RECONCILE_INTERVAL_MS || "900000"),
+    },
+  },
+
+  // Backtesting
+  backtest: {
+    // Stored candle files, <name>.csv or <name>.json
+    dataDir:
+      process.env.BACKTEST_DATA_DIR || path.join(__dirname, "data", "candles"),
   },
 
   // Server Configuration
@@ -37,6 +107,10 @@ const config = {
       errors.push("THREE_COMMAS_API_SECRET is required");
     }
 
+    if (!this.auth.jwtSecret && !this.auth.jwksUri) {
+      errors.push("JWT_SECRET or JWT_JWKS_URI is required for authentication");
+    }
+
     if (!this.mongodb.uri) {
       errors.push("MONGODB_URI is required");
     }
@@ -0,0 +1,145 @@
+const mongoose = require("mongoose");
+const ApiKey = require("../models/ApiKey");
+const User = require("../models/User");
+
+const MAX_KEYS_PER_USER = 20;
+
+// ✅ Create a personal API key (the plaintext key is only returned once)
+exports.createApiKey = async (req, res) => {
+  const { name, scopes = ["read"], expiresAt } = req.body || {};
+
+  if (!name || typeof name !== "string" || name.length > 50) {
+    return res.status(400).json({
+      success: false,
+      message: "name is required (max 50 characters)",
+    });
+  }
+
+  if (
+    !Array.isArray(scopes) ||
+    scopes.length === 0 ||
+    !scopes.every((scope) => ApiKey.SCOPES.includes(scope))
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: `scopes must be a non-empty list of: ${ApiKey.SCOPES.join(
+        ", "
+      )}`,
+    });
+  }
+
+  let expiry = null;
+  if (expiresAt) {
+    expiry = new Date(expiresAt);
+    if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "expiresAt must be a valid date in the future",
+      });
+    }
+  }
+
+  try {
+    // Keys need a User document to belong to, even before an exchange is connected
+    let user = req.user;
+    if (!user) {
+      user = await User.create({ userId: req.auth.userId });
+    }
+
+    const activeKeys = await ApiKey.countDocuments({
+      user: user._id,
+      revokedAt: null,
+    });
+    if (activeKeys >= MAX_KEYS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_KEYS_PER_USER} active API keys`,
+      });
+    }
+
+    const { apiKey, key } = await ApiKey.generate({
+      user: user._id,
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiry,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "API key created. Store it now; it will not be shown again.",
+      key,
+      apiKey,
+    });
+  } catch (error) {
+    console.error("❌ Create API key error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create API key",
+      error: error.message,
+    });
+  }
+};
+
+// ✅ List the user's API keys (without secrets)
+exports.listApiKeys = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.json({ success: true, total: 0, apiKeys: [] });
+    }
+
+    const apiKeys = await ApiKey.find({ user: req.user._id }).sort({
+      createdAt: -1,
+    });
+
+    res.json({
+      success: true,
+      total: apiKeys.length,
+      apiKeys: apiKeys.map((apiKey) => ({
+        ...apiKey.toJSON(),
+        active: apiKey.isActive(),
+      })),
+    });
+  } catch (error) {
+    console.error("❌ List API keys error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list API keys",
+      error: error.message,
+    });
+  }
+};
+
+// ✅ Revoke an API key
+exports.revokeApiKey = async (req, res) => {
+  const { keyId } = req.params;
+
+  try {
+    const apiKey =
+      req.user && mongoose.isValidObjectId(keyId)
+        ? await ApiKey.findOne({ _id: keyId, user: req.user._id })
+        : null;
+    if (!apiKey) {
+      return res
+        .status(404)
+        .json({ success: false, message: "API key not found" });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.json({
+      success: true,
+      message: "API key revoked",
+      apiKeyId: apiKey._id,
+    });
+  } catch (error) {
+    console.error("❌ Revoke API key error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke API key",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,127 @@
+const mongoose = require("mongoose");
+const config = require("../config");
+const AuditEvent = require("../models/AuditEvent");
+const User = require("../models/User");
+
+const MAX_LIMIT = 200;
+
+// Support staff sign in with a session token; API keys never get support access
+const isSupport = (req) =>
+  req.auth.method === "token" &&
+  config.auth.supportUserIds.includes(req.auth.userId);
+
+// Build the Mongo filter from query params, or return { error } for bad input
+async function buildFilter(req, { botId } = {}) {
+  const { action, from, to, success, userId } = req.query;
+  const filter = {};
+
+  if (isSupport(req)) {
+    // Support may narrow to one user by Memberstack id, or see everyone
+    if (userId) {
+      const user = await User.findOne({ userId });
+      filter.user = user ? user._id : null;
+    }
+  } else {
+    if (userId && userId !== req.auth.userId) {
+      return { error: "Unauthorized access", status: 403 };
+    }
+    filter.user = req.user ? req.user._id : null;
+  }
+
+  const bot = botId || req.query.botId;
+  if (bot) {
+    if (!mongoose.Types.ObjectId.isValid(bot)) {
+      return { error: "Invalid botId" };
+    }
+    filter["target.bot"] = bot;
+  }
+
+  if (action) {
+    const actions = String(action).split(",");
+    if (!actions.every((a) => AuditEvent.ACTIONS.includes(a))) {
+      return {
+        error: `action must be one of: ${AuditEvent.ACTIONS.join(", ")}`,
+      };
+    }
+    filter.action = { $in: actions };
+  }
+
+  if (success !== undefined) {
+    if (success !== "true" && success !== "false") {
+      return { error: "success must be true or false" };
+    }
+    filter["outcome.success"] = success === "true";
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    for (const [key, value, op] of [
+      ["from", from, "$gte"],
+      ["to", to, "$lte"],
+    ]) {
+      if (!value) continue;
+      const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+      if (Number.isNaN(date.getTime())) {
+        return { error: `${key} must be a timestamp or ISO date` };
+      }
+      filter.createdAt[op] = date;
+    }
+  }
+
+  return { filter };
+}
+
+async function sendEvents(req, res, filter) {
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit) || 50, 1),
+    MAX_LIMIT
+  );
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  const [total, events] = await Promise.all([
+    AuditEvent.countDocuments(filter),
+    AuditEvent.find(filter).sort({ createdAt: -1 }).skip(offset).limit(limit),
+  ]);
+
+  res.json({ success: true, total, limit, offset, events });
+}
+
+// ✅ List audit events for the caller (or any user, for support staff)
+exports.listAuditEvents = async (req, res) => {
+  try {
+    const { filter, error, status } = await buildFilter(req);
+    if (error) {
+      return res.status(status || 400).json({ success: false, message: error });
+    }
+
+    await sendEvents(req, res, filter);
+  } catch (error) {
+    console.error("❌ List audit events error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch audit events",
+      error: error.message,
+    });
+  }
+};
+
+// ✅ Timeline of a single bot, including after it was deleted
+exports.getBotAuditTrail = async (req, res) => {
+  try {
+    const { filter, error, status } = await buildFilter(req, {
+      botId: req.params.botId,
+    });
+    if (error) {
+      return res.status(status || 400).json({ success: false, message: error });
+    }
+
+    await sendEvents(req, res, filter);
+  } catch (error) {
+    console.error("❌ Bot audit trail error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch bot audit trail",
+      error: error.message,
+    });
+  }
+};
@@ -1,48 +1,85 @@
-const axios = require("axios");
 const User = require("../models/User");
-const { encrypt, decrypt } = require("../utils/encrypt");
+const Bot = require("../models/bot");
+const ExchangeConnection = require("../models/ExchangeConnection");
+const { encrypt } = require("../utils/encrypt");
 const threeCommas = require("../utils/threeCommas");
+const binance = require("../utils/binance");
+const {
+  EXCHANGES,
+  getAdapter,
+  listExchanges,
+  verifyCredentials,
+} = require("../utils/exchangeAdapters");
+const { buildPeriodStats, PERIODS } = require("../utils/portfolioStats");
+const { BinanceError } = require("../utils/errors");
+const { recordAudit } = require("../utils/audit");
+const {
+  sendThreeCommasError,
+  sendBinanceError,
+} = require("../middleware/errorHandler");
 
-// Helpers
-async function verifyBinanceCredentials(apiKey, apiSecret) {
-  const baseUrl = process.env.BINANCE_API_BASE_URL || "https://api.binance.com";
-  const endpoint = "/api/v3/account";
-  const timestamp = Date.now();
-  const recvWindow = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_STATS_MARKETS = 20;
+const STATS_CONCURRENCY = 5;
+const DEFAULT_LABEL = "main";
 
-  const params = new URLSearchParams({
-    timestamp: String(timestamp),
-    recvWindow: String(recvWindow),
-  });
+// Helpers
+// Accepts epoch milliseconds or an ISO date; null when absent, undefined when invalid
+function parseTime(value) {
+  if (value === undefined || value === "") return null;
+  const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  return Number.isNaN(time) ? undefined : time;
+}
 
-  const signature = require("crypto")
-    .createHmac("sha256", apiSecret)
-    .update(params.toString())
-    .digest("hex");
+// The connection picked by connectionId (or the user's only one); responds
+// and returns null on failure
+async function loadConnection(req, res) {
+  const connectionId =
+    req.params?.connectionId ??
+    req.query?.connectionId ??
+    req.body?.connectionId;
+  const { connection, status, message } = await ExchangeConnection.resolve(
+    req.user,
+    connectionId
+  );
+  if (!connection) {
+    res.status(status).json({ message });
+    return null;
+  }
+  return connection;
+}
 
-  const url = `${baseUrl}${endpoint}?${params.toString()}&signature=${signature}`;
+// Decrypt the keys of a Binance spot connection; responds and returns null on
+// failure. Wallet and trade data is only read from Binance spot.
+async function loadBinanceAccount(req, res) {
+  const connection = await loadConnection(req, res);
+  if (!connection) return null;
 
-  try {
-    await axios.get(url, {
-      headers: { "X-MBX-APIKEY": apiKey },
-      timeout: 15000,
+  if (!getAdapter(connection.exchange)?.binanceSpot) {
+    res.status(400).json({
+      message: `Wallet and trade data are only available for Binance spot connections ("${connection.label}" is ${connection.exchange})`,
     });
-    return { ok: true };
-  } catch (error) {
-    const code = error?.response?.status || 0;
-    const data = error?.response?.data;
-    return {
-      ok: false,
-      message:
-        data?.msg || error.message || "Failed to verify Binance credentials",
-      status: code,
-      data,
-    };
+    return null;
   }
+  return {
+    user: req.user,
+    connection,
+    credentials: connection.credentials(),
+  };
 }
 
+const connectionStatus = (connection) => ({
+  connectionId: connection._id,
+  label: connection.label,
+  exchange: connection.exchange,
+  connected: true,
+  threeCommasAccountId: connection.threeCommasAccountId || null,
+  connectedAt: connection.createdAt,
+});
+
 async function createThreeCommasExchangeAccount({
   name,
+  type,
   apiKey,
   apiSecret,
   passphrase,
@@ -54,7 +91,7 @@ async function createThreeCommasExchangeAccount({
   try {
     const payload = {
       name: name || "Binance Account",
-      type: "binance",
+      type: type || "binance",
       api_key: apiKey,
       secret: apiSecret,
     };
@@ -71,66 +108,117 @@ async function createThreeCommasExchangeAccount({
     });
     return { ok: true, data: response.data };
   } catch (error) {
-    const data = error?.response?.data;
     return {
       ok: false,
-      status: error?.response?.status,
-      error: data?.error,
-      error_description: data?.error_description || error.message,
-      error_attributes: data?.error_attributes,
-      raw: data || null,
+      status: error.status,
+      statusCode: error.statusCode,
+      error: error.code,
+      error_description: error.description || error.message,
+      error_attributes: error.attributes,
+      raw: error.raw,
+      cause: error,
     };
   }
 }
 
 // Controllers
 exports.connectBinance = async (req, res) => {
-  const { userId, apiKey, apiSecret, passphrase, typesToCreate } =
-    req.body || {};
+  const { userId } = req.auth;
+  const {
+    apiKey,
+    apiSecret,
+    passphrase,
+    typesToCreate,
+    label = DEFAULT_LABEL,
+    exchange = "binance",
+  } = req.body || {};
 
-  if (!userId || !apiKey || !apiSecret) {
+  const adapter = getAdapter(exchange);
+  if (!adapter) {
+    return res.status(400).json({
+      message: `exchange must be one of: ${EXCHANGES.join(", ")}`,
+    });
+  }
+  if (!apiKey || !apiSecret) {
+    return res
+      .status(400)
+      .json({ message: "apiKey and apiSecret are required" });
+  }
+  if (adapter.requiresPassphrase && !passphrase) {
     return res
       .status(400)
-      .json({ message: "userId, apiKey and apiSecret are required" });
+      .json({ message: `passphrase is required for ${adapter.name}` });
+  }
+  // Only exchanges whose keys have a passphrase get one stored or sent
+  const keyPassphrase = adapter.requiresPassphrase ? passphrase : undefined;
+  if (typeof label !== "string" || !label.trim() || label.trim().length > 50) {
+    return res.status(400).json({
+      message: "label must be a non-empty string of up to 50 characters",
+    });
   }
 
   try {
-    // 1) Verify Binance credentials
-    const verify = await verifyBinanceCredentials(apiKey, apiSecret);
-    if (!verify.ok) {
-      return res
-        .status(400)
-        .json({ message: "Invalid Binance credentials", details: verify });
-    }
-
-    // 2) Encrypt and upsert in DB
-    const encryptedKey = encrypt(apiKey);
-    const encryptedSecret = encrypt(apiSecret);
+    // First connect from a session: the user has no document yet
+    req.user ??= await User.create({ userId });
 
-    let user = await User.findOne({ userId });
-    if (!user) {
-      user = new User({ userId });
+    // Each label names one account; connecting again must not overwrite it
+    const connections = await ExchangeConnection.forUser(req.user);
+    if (connections.some((c) => c.label === label.trim())) {
+      return res.status(409).json({
+        message: `A connection labelled "${label.trim()}" already exists; disconnect it first or choose another label`,
+      });
     }
 
-    user.binanceApiKey = encryptedKey;
-    user.binanceApiSecret = encryptedSecret;
+    // 1) Verify the credentials with the exchange itself
+    const verify = await verifyCredentials(exchange, {
+      apiKey,
+      apiSecret,
+      passphrase: keyPassphrase,
+    });
+    if (!verify.ok) {
+      return res.status(400).json({
+        message: `Invalid ${adapter.name} credentials`,
+        details: verify,
+      });
+    }
 
-    await user.save();
+    // 2) Encrypt and store as a new connection
+    const connection = await ExchangeConnection.create({
+      user: req.user._id,
+      label: label.trim(),
+      exchange,
+      apiKey: encrypt(apiKey),
+      apiSecret: encrypt(apiSecret),
+      ...(keyPassphrase && { passphrase: encrypt(keyPassphrase) }),
+    });
 
     // 3) Ensure exchange exists in centralized 3Commas account
-    const name = `Binance-${userId.slice(-6)}`;
+    const name = `${adapter.name.replace(/ /g, "")}-${userId.slice(-6)}-${
+      connection.label
+    }`;
     const createAcc = await createThreeCommasExchangeAccount({
       name,
+      type: adapter.threeCommasType,
       apiKey,
       apiSecret,
-      passphrase,
+      passphrase: keyPassphrase,
       typesToCreate,
     });
 
+    // Credentials never go into the audit log, only the call that was made
+    const request = { method: "POST", path: "/ver1/accounts/new" };
+
     if (!createAcc.ok) {
+      await recordAudit(req, {
+        action: "account.connect",
+        request,
+        error: createAcc.cause,
+      });
+
       // Keep credentials saved but report 3Commas failure
-      return res.status(502).json({
+      return res.status(createAcc.statusCode || 502).json({
         message: "Saved credentials, but failed to create 3Commas account",
+        connection: connectionStatus(connection),
         threeCommas: {
           status: createAcc.status,
           error: createAcc.error,
@@ -142,14 +230,22 @@ exports.connectBinance = async (req, res) => {
 
     const accountId = createAcc.data?.id || createAcc.data?.account?.id;
     if (accountId) {
-      user.threeCommasAccountId = accountId;
-      await user.save();
+      connection.threeCommasAccountId = accountId;
+      await connection.save();
     }
 
+    await recordAudit(req, {
+      action: "account.connect",
+      accountId,
+      request,
+      response: { id: accountId },
+    });
+
     return res.status(200).json({
-      message: "Binance connected successfully",
+      message: `${adapter.name} connected successfully`,
       verified: true,
-      threeCommasAccountId: user.threeCommasAccountId || null,
+      connection: connectionStatus(connection),
+      threeCommasAccountId: connection.threeCommasAccountId || null,
     });
   } catch (error) {
     console.error("connectBinance error:", error);
@@ -159,16 +255,42 @@ exports.connectBinance = async (req, res) => {
   }
 };
 
+exports.listSupportedExchanges = (_req, res) => {
+  res.json({ exchanges: listExchanges() });
+};
+
+exports.listConnections = async (req, res) => {
+  try {
+    const connections = await ExchangeConnection.forUser(req.user);
+    res.json({
+      total: connections.length,
+      connections: connections.map(connectionStatus),
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Internal server error", error: error.message });
+  }
+};
+
 exports.getBinanceStatus = async (req, res) => {
-  const { userId } = req.query || {};
-  if (!userId) return res.status(400).json({ message: "userId is required" });
   try {
-    const user = await User.findOne({ userId });
-    if (!user) return res.json({ connected: false });
-    const connected = Boolean(user.binanceApiKey && user.binanceApiSecret);
+    const { connectionId } = req.params;
+    if (connectionId) {
+      const connection = await loadConnection(req, res);
+      if (!connection) return;
+      return res.json(connectionStatus(connection));
+    }
+
+    const connections = await ExchangeConnection.forUser(req.user);
     res.json({
-      connected,
-      threeCommasAccountId: user.threeCommasAccountId || null,
+      connected: connections.length > 0,
+      // Single-account clients read the account id from the top level
+      threeCommasAccountId:
+        connections.length === 1
+          ? connections[0].threeCommasAccountId || null
+          : null,
+      connections: connections.map(connectionStatus),
     });
   } catch (error) {
     res
@@ -178,34 +300,42 @@ exports.getBinanceStatus = async (req, res) => {
 };
 
 exports.disconnectBinance = async (req, res) => {
-  const { userId } = req.body || {};
-  if (!userId) return res.status(400).json({ message: "userId is required" });
   try {
-    const user = await User.findOne({ userId });
-    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!req.user) return res.status(404).json({ message: "User not found" });
+
+    const connection = await loadConnection(req, res);
+    if (!connection) return;
+
+    const accountId = connection.threeCommasAccountId;
+    let request;
+    let threeCommasError;
 
     // Optionally try to remove account from 3Commas if present
-    if (user.threeCommasAccountId) {
+    if (accountId) {
+      request = { method: "DELETE", path: `/ver1/accounts/${accountId}` };
       try {
-        await threeCommas.delete(
-          `/ver1/accounts/${user.threeCommasAccountId}`,
-          { timeout: 20000 }
-        );
+        await threeCommas.delete(request.path, { timeout: 20000 });
       } catch (e) {
         // log only, proceed
-        console.warn(
-          "Failed to delete 3Commas account:",
-          e?.response?.data || e.message
-        );
+        console.warn("Failed to delete 3Commas account:", e.message);
+        threeCommasError = e;
       }
     }
 
-    user.binanceApiKey = undefined;
-    user.binanceApiSecret = undefined;
-    user.threeCommasAccountId = undefined;
-    await user.save();
+    await connection.deleteOne();
+
+    await recordAudit(req, {
+      action: "account.disconnect",
+      accountId,
+      request,
+      error: threeCommasError,
+    });
 
-    res.json({ message: "Disconnected successfully" });
+    res.json({
+      message: "Disconnected successfully",
+      connectionId: connection._id,
+      label: connection.label,
+    });
   } catch (error) {
     res
       .status(500)
@@ -213,36 +343,236 @@ exports.disconnectBinance = async (req, res) => {
   }
 };
 
-exports.getFullWalletInfo = async (_req, res) => {
-  return res.status(501).json({ message: "Not implemented yet" });
+exports.getFullWalletInfo = async (req, res) => {
+  try {
+    const account = await loadBinanceAccount(req, res);
+    if (!account) return;
+
+    const wallet = await binance.getValuedBalances(account.credentials);
+
+    res.json({
+      totalUsdtValue: wallet.totalUsdtValue,
+      assetCount: wallet.balances.length,
+      balances: wallet.balances,
+      unpricedAssets: wallet.unpricedAssets,
+      canTrade: wallet.canTrade,
+      updatedAt: wallet.updateTime ? new Date(wallet.updateTime) : new Date(),
+    });
+  } catch (error) {
+    if (error instanceof BinanceError) {
+      return sendBinanceError(res, error, "Failed to fetch Binance wallet");
+    }
+    res
+      .status(500)
+      .json({ message: "Internal server error", error: error.message });
+  }
 };
 
-exports.getTradeHistory = async (_req, res) => {
-  return res.status(501).json({ message: "Not implemented yet" });
+exports.getTradeHistory = async (req, res) => {
+  const { symbol, startTime, endTime, fromId, limit = 500 } = req.query || {};
+
+  if (!symbol) {
+    return res
+      .status(400)
+      .json({ message: "symbol is required (e.g. BTC_USDT or BTCUSDT)" });
+  }
+
+  const start = parseTime(startTime);
+  const end = parseTime(endTime);
+  if (start === undefined || end === undefined) {
+    return res.status(400).json({
+      message: "startTime and endTime must be epoch milliseconds or ISO dates",
+    });
+  }
+  if (start && end && (end < start || end - start > DAY_MS)) {
+    return res.status(400).json({
+      message: "endTime must be after startTime and within 24 hours of it",
+    });
+  }
+  if (fromId !== undefined && !/^\d+$/.test(fromId)) {
+    return res
+      .status(400)
+      .json({ message: "fromId must be a non-negative integer" });
+  }
+  if (fromId !== undefined && (start || end)) {
+    return res
+      .status(400)
+      .json({ message: "fromId cannot be combined with startTime/endTime" });
+  }
+
+  const pageSize = parseInt(limit);
+  if (!pageSize || pageSize < 1 || pageSize > 1000) {
+    return res
+      .status(400)
+      .json({ message: "limit must be between 1 and 1000" });
+  }
+
+  try {
+    const account = await loadBinanceAccount(req, res);
+    if (!account) return;
+
+    const trades = await binance.getMyTrades(account.credentials, {
+      symbol: binance.toBinanceSymbol(symbol),
+      startTime: start,
+      endTime: end,
+      fromId: fromId !== undefined ? parseInt(fromId) : undefined,
+      limit: pageSize,
+    });
+
+    res.json({
+      symbol: binance.toBinanceSymbol(symbol),
+      total: trades.length,
+      trades,
+      pagination: {
+        limit: pageSize,
+        nextFromId:
+          trades.length === pageSize ? trades[trades.length - 1].id + 1 : null,
+      },
+    });
+  } catch (error) {
+    if (error instanceof BinanceError) {
+      return sendBinanceError(res, error, "Failed to fetch Binance trades");
+    }
+    res
+      .status(500)
+      .json({ message: "Internal server error", error: error.message });
+  }
 };
 
-exports.getBinanceStats = async (_req, res) => {
-  return res.status(501).json({ message: "Not implemented yet" });
+exports.getBinanceStats = async (req, res) => {
+  const { symbols } = req.query || {};
+  try {
+    const account = await loadBinanceAccount(req, res);
+    if (!account) return;
+
+    const [wallet, bots] = await Promise.all([
+      binance.getValuedBalances(account.credentials),
+      Bot.find({
+        user: account.user._id,
+        exchangeId: account.connection.threeCommasAccountId,
+      }).select("pair pairs"),
+    ]);
+    const prices = await binance.getTickerPrices();
+
+    // Markets to scan: explicit list, else bot pairs plus every held asset vs USDT
+    const pairs = symbols
+      ? String(symbols).split(",")
+      : [
+          ...bots.flatMap((bot) => bot.getPairs()),
+          ...wallet.balances.map((balance) => `${balance.asset}_USDT`),
+        ];
+    const markets = [...new Set(pairs.map((pair) => pair.trim().toUpperCase()))]
+      .map((pair) => {
+        const [base, quote] = pair.split("_");
+        return { pair, base, quote, symbol: binance.toBinanceSymbol(pair) };
+      })
+      .filter((market) => market.base && market.quote)
+      .filter((market) => prices[market.symbol] !== undefined)
+      .slice(0, MAX_STATS_MARKETS);
+
+    // Only the latest page of fills is fetched per market; flag markets where
+    // that page does not reach back to the start of the 30d window.
+    const since = Date.now() - PERIODS["30d"];
+    const histories = [];
+    const truncatedSymbols = [];
+    const failedSymbols = [];
+
+    for (let i = 0; i < markets.length; i += STATS_CONCURRENCY) {
+      const batch = markets.slice(i, i + STATS_CONCURRENCY);
+      const results = await Promise.allSettled(
+        batch.map((market) =>
+          binance.getMyTrades(account.credentials, {
+            symbol: market.symbol,
+            limit: 1000,
+          })
+        )
+      );
+
+      results.forEach((result, index) => {
+        const market = batch[index];
+        if (result.status === "rejected") {
+          failedSymbols.push({
+            symbol: market.symbol,
+            error: result.reason.message,
+          });
+          return;
+        }
+        const trades = result.value;
+        if (trades.length === 1000 && trades[0].time.getTime() > since) {
+          truncatedSymbols.push(market.symbol);
+        }
+        histories.push({ market, trades });
+      });
+    }
+
+    res.json({
+      totalEquityUsdt: wallet.totalUsdtValue,
+      periods: buildPeriodStats(histories, (asset) =>
+        binance.priceInUsdt(asset, prices)
+      ),
+      symbols: markets.map((market) => market.symbol),
+      truncatedSymbols,
+      failedSymbols,
+      generatedAt: new Date(),
+    });
+  } catch (error) {
+    if (error instanceof BinanceError) {
+      return sendBinanceError(res, error, "Failed to build Binance statistics");
+    }
+    res
+      .status(500)
+      .json({ message: "Internal server error", error: error.message });
+  }
 };
 
-exports.getSimpleWallet = async (_req, res) => {
-  return res.status(501).json({ message: "Not implemented yet" });
+exports.getSimpleWallet = async (req, res) => {
+  const { top = 5 } = req.query || {};
+  try {
+    const account = await loadBinanceAccount(req, res);
+    if (!account) return;
+
+    const wallet = await binance.getValuedBalances(account.credentials);
+    const limit = Math.min(Math.max(parseInt(top) || 5, 1), 50);
+
+    res.json({
+      totalEquityUsdt: wallet.totalUsdtValue,
+      assetCount: wallet.balances.length,
+      topAssets: wallet.balances.slice(0, limit).map((balance) => ({
+        asset: balance.asset,
+        total: balance.total,
+        usdtValue: balance.usdtValue,
+        share:
+          wallet.totalUsdtValue > 0 && balance.usdtValue !== null
+            ? (balance.usdtValue / wallet.totalUsdtValue) * 100
+            : 0,
+      })),
+    });
+  } catch (error) {
+    if (error instanceof BinanceError) {
+      return sendBinanceError(res, error, "Failed to fetch Binance wallet");
+    }
+    res
+      .status(500)
+      .json({ message: "Internal server error", error: error.message });
+  }
 };
 
-exports.checkThreeCommasAccounts = async (_req, res) => {
+exports.checkThreeCommasAccounts = async (req, res) => {
   try {
     const response = await threeCommas.get("/ver1/accounts", {
       timeout: 20000,
     });
+    // The platform key sees every user's exchange; only show the caller's own
+    const ownAccountIds = await ExchangeConnection.accountIdsForUser(req.user);
+    const accounts = (Array.isArray(response.data) ? response.data : []).filter(
+      (account) => ownAccountIds.includes(account.id)
+    );
     res.json({
-      total: Array.isArray(response.data) ? response.data.length : 0,
-      accounts: response.data,
+      total: accounts.length,
+      accounts,
     });
   } catch (error) {
-    res.status(502).json({
-      message: "Failed to fetch 3Commas accounts",
-      error: error?.response?.data || error.message,
-    });
+    sendThreeCommasError(res, error, "Failed to fetch 3Commas accounts");
   }
 };
 
@@ -251,15 +581,17 @@ exports.getAccountDetails = async (req, res) => {
   if (!accountId)
     return res.status(400).json({ message: "accountId is required" });
   try {
+    const ownAccountIds = await ExchangeConnection.accountIdsForUser(req.user);
+    if (!ownAccountIds.includes(Number(accountId))) {
+      return res.status(403).json({ message: "Unauthorized access" });
+    }
+
     const response = await threeCommas.get(`/ver1/accounts/${accountId}`, {
       timeout: 20000,
     });
     res.json(response.data);
   } catch (error) {
-    res.status(502).json({
-      message: "Failed to fetch account details",
-      error: error?.response?.data || error.message,
-    });
+    sendThreeCommasError(res, error, "Failed to fetch account details");
   }
 };
 
@@ -273,8 +605,9 @@ exports.testThreeCommasConnection = async (_req, res) => {
       count: Array.isArray(response.data) ? response.data.length : 0,
     });
   } catch (error) {
-    return res
-      .status(502)
-      .json({ ok: false, error: error?.response?.data || error.message });
+    return res.status(error.statusCode || 502).json({
+      ok: false,
+      error: error.toJSON ? error.toJSON() : error.message,
+    });
   }
 };
@@ -1,150 +1,293 @@
+const mongoose = require("mongoose");
 const Bot = require("../models/bot");
-const User = require("../models/User");
-const axios = require("axios");
-const crypto = require("crypto");
-const config = require("../config");
-
-const THREE_COMMAS_API_KEY = config.threeCommas.apiKey;
-const THREE_COMMAS_API_SECRET = config.threeCommas.apiSecret;
-const BASE_URL = config.threeCommas.baseUrl;
-const API_PREFIX = config.threeCommas.apiPrefix;
-
-function buildStringToSign(path, queryString, bodyString) {
-  const qsPart = queryString ? `?${queryString}` : "";
-  const bodyPart = bodyString || "";
-  return `${API_PREFIX}${path}${qsPart}${bodyPart}`;
+const ExchangeConnection = require("../models/ExchangeConnection");
+const threeCommas = require("../utils/threeCommas");
+const {
+  sendThreeCommasError,
+  sendBinanceError,
+} = require("../middleware/errorHandler");
+const { ThreeCommasNotFoundError } = require("../utils/errors");
+const BotConfigVersion = require("../models/BotConfigVersion");
+const BotTemplate = require("../models/BotTemplate");
+const { recordAudit, configSnapshot } = require("../utils/audit");
+const { buildLadder, safetyOrderSteps } = require("../utils/dcaLadder");
+const {
+  checkBotFunding,
+  balanceCheckSkipped,
+} = require("../utils/fundingCheck");
+const {
+  validateMarketRules,
+  MARKET_RULE_FIELDS,
+} = require("../utils/marketRules");
+const {
+  parseBotUpdate,
+  pickBotConfig,
+  validateBotParams,
+  resolvePairs,
+  toThreeCommasUpdate,
+  UPDATABLE_FIELDS,
+  STOP_LOSS_TYPES,
+} = require("../utils/botConfig");
+const { parseCandles, readDataset, runBacktest } = require("../utils/backtest");
+const {
+  parseStartConditions,
+  toStrategyList,
+} = require("../utils/startConditions");
+const {
+  parseTakeProfitSteps,
+  toThreeCommasSteps,
+} = require("../utils/takeProfitSteps");
+
+/**
+ * Push a new configuration to 3Commas and, once accepted, save the previous
+ * one as a version snapshot and bump configVersion. Responds and returns null
+ * when the change is rejected.
+ * @param {Object} changes - Parsed camelCase fields (see utils/botConfig.js)
+ * @param {Object} options
+ * @param {"update"|"rollback"} options.replacedBy
+ * @param {number} [options.restoredVersion] - Version restored by a rollback
+ * @returns {Promise<{bot: Object, changedFields: string[]}|null>}
+ */
+async function applyBotConfig(req, res, bot, changes, options) {
+  const previous = pickBotConfig(bot);
+  const changedFields = Object.keys(changes).filter(
+    (field) =>
+      JSON.stringify(changes[field]) !== JSON.stringify(previous[field])
+  );
+
+  if (changedFields.length === 0) {
+    res.status(400).json({
+      success: false,
+      message: "Nothing to change: the bot already has this configuration",
+    });
+    return null;
+  }
+
+  if (changedFields.includes("name")) {
+    const nameTaken = await Bot.exists({
+      user: bot.user,
+      name: changes.name,
+      _id: { $ne: bot._id },
+    });
+    if (nameTaken) {
+      res.status(400).json({
+        success: false,
+        message:
+          "A bot with this name already exists. Please choose a different name.",
+      });
+      return null;
+    }
+  }
+
+  // Cross-field rules, e.g. trailing deviation below the take profit
+  const configErrors = new Bot({
+    ...previous,
+    ...changes,
+    strategy: bot.strategy,
+  }).validateConfig({ changedFields });
+  if (configErrors.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: "Invalid bot configuration",
+      errors: configErrors,
+    });
+    return null;
+  }
+
+  if (changedFields.some((field) => MARKET_RULE_FIELDS.includes(field))) {
+    const merged = { ...previous, ...changes, botType: bot.botType };
+    const connection = await ExchangeConnection.forAccount(
+      req.user,
+      bot.exchangeId
+    );
+    const market = {
+      accountId: bot.exchangeId,
+      exchange: connection?.exchange,
+    };
+    if (await rejectMarketRules(res, merged, market)) return null;
+  }
+
+  const action =
+    options.replacedBy === "rollback" ? "bot.rollback" : "bot.update";
+  const before = configSnapshot(bot);
+  const path = `/ver1/bots/${bot.threeCommasBotId}/update`;
+  const payload = toThreeCommasUpdate({ ...previous, ...changes });
+
+  let response;
+  try {
+    response = await threeCommas.patch(path, payload);
+
+    console.log("✅ Bot updated in 3Commas successfully");
+  } catch (error) {
+    console.error("❌ Failed to update bot in 3Commas:", error.message);
+    await recordAudit(req, {
+      action,
+      bot,
+      before,
+      request: { method: "PATCH", path, body: payload },
+      error,
+    });
+    sendThreeCommasError(res, error, "Failed to update bot in 3Commas");
+    return null;
+  }
+
+  await BotConfigVersion.create({
+    bot: bot._id,
+    user: bot.user,
+    version: bot.configVersion,
+    config: previous,
+    replacedBy: options.replacedBy,
+    restoredVersion: options.restoredVersion ?? null,
+    changedFields,
+    actor: {
+      userId: req.auth.userId,
+      method: req.auth.method,
+      apiKeyId: req.auth.apiKeyId || null,
+    },
+  });
+
+  changedFields.forEach((field) => bot.set(field, changes[field]));
+  bot.configVersion += 1;
+  await bot.save();
+
+  await recordAudit(req, {
+    action,
+    bot,
+    before,
+    after: configSnapshot(bot),
+    request: { method: "PATCH", path, body: payload },
+    response: response.data,
+  });
+
+  return { bot, changedFields };
 }
 
-function createSignatureFromParts(path, queryString, bodyString) {
-  const stringToSign = buildStringToSign(path, queryString, bodyString);
-  console.log("3Commas Bot Creation - stringToSign:", {
-    path: `${API_PREFIX}${path}`,
-    hasQuery: Boolean(queryString),
-    hasBody: Boolean(bodyString),
-    bodyLength: bodyString ? Buffer.byteLength(bodyString, "utf8") : 0,
-    preview:
-      stringToSign.slice(0, 120) + (stringToSign.length > 120 ? "…" : ""),
+// Responds and returns true when the pair or order sizes break exchange rules
+async function rejectMarketRules(res, config, { accountId, exchange }) {
+  let errors;
+  try {
+    errors = await validateMarketRules(config, { accountId, exchange });
+  } catch (error) {
+    console.error("❌ Exchange rules check failed:", error.message);
+    sendBinanceError(res, error, "Failed to load exchange rules");
+    return true;
+  }
+
+  if (Object.keys(errors).length === 0) return false;
+
+  res.status(400).json({
+    success: false,
+    message: "Bot does not meet exchange rules",
+    errors,
   });
-  return crypto
-    .createHmac("sha256", THREE_COMMAS_API_SECRET)
-    .update(stringToSign)
-    .digest("hex");
+  return true;
 }
 
-const isValidEnum = (val, options) => options.includes(val);
+// Responds and returns true when the Binance balance cannot fund the bot
+async function rejectUnfunded(req, res, config, connection) {
+  if (balanceCheckSkipped(req)) return false;
+
+  let funding;
+  try {
+    funding = await checkBotFunding(req.user, config, { connection });
+  } catch (error) {
+    console.error("❌ Balance check failed:", error.message);
+    sendBinanceError(res, error, "Failed to check Binance balance");
+    return true;
+  }
+
+  if (funding.ok) return false;
+
+  res.status(400).json({
+    success: false,
+    message: funding.message,
+    funding,
+    hint: "Pass skipBalanceCheck: true to proceed anyway",
+  });
+  return true;
+}
 
 // ✅ Create Bot with enhanced validation and features
-exports.createBot = async (req, res) => {
+exports.createBot = async (req, res) =>
+  createBotFromParams(req, res, req.body || {});
+
+// Shared by createBot and createBotFromTemplate: validate, create in 3Commas, then save
+async function createBotFromParams(req, res, params) {
+  const { userId } = req.auth;
   const {
-    userId,
     botName,
     direction,
     botType,
-    pair,
     profitCurrency,
     baseOrderSize,
     startOrderType,
     takeProfitType,
     targetProfitPercent,
+    takeProfitSteps,
     safetyOrderVolume,
     maxSafetyOrders,
+    maxActiveDeals,
     safetyOrderStepPercentage,
+    safetyOrderType,
+    activeSafetyOrdersCount,
+    martingaleVolumeCoefficient,
+    martingaleStepCoefficient,
+    trailingEnabled,
+    trailingDeviation,
     stopLossPercentage,
+    trailingStopLossEnabled,
+    stopLossAction,
+    stopLossTimeout,
     cooldown,
+    startConditions,
     note,
-  } = req.body;
+    connectionId,
+  } = params;
 
   // 🛡 Enhanced Validation
-  if (
-    !userId ||
-    !botName ||
-    !direction ||
-    !botType ||
-    !pair ||
-    !profitCurrency ||
-    !baseOrderSize ||
-    !startOrderType ||
-    !takeProfitType ||
-    !targetProfitPercent
-  ) {
-    return res.status(400).json({
-      success: false,
-      message: "All required fields are missing. Please check your input.",
-    });
-  }
-
-  // Validate pair format (e.g., BTC_USDT, ETH_USDT)
-  if (!/^[A-Z0-9]+_[A-Z0-9]+$/.test(pair)) {
-    return res.status(400).json({
-      success: false,
-      message: "Invalid pair format. Use format like BTC_USDT, ETH_USDT",
-    });
-  }
-
-  if (!isValidEnum(direction, ["long", "short"])) {
-    return res
-      .status(400)
-      .json({ success: false, message: "Direction must be 'long' or 'short'" });
+  const validationError = validateBotParams(params);
+  if (validationError) {
+    return res.status(400).json({ success: false, message: validationError });
   }
 
-  if (!isValidEnum(botType, ["single", "multi"])) {
-    return res.status(400).json({
-      success: false,
-      message: "Bot type must be 'single' or 'multi'",
-    });
-  }
-
-  if (!isValidEnum(profitCurrency, ["quote", "base"])) {
-    return res.status(400).json({
-      success: false,
-      message: "Profit currency must be 'quote' or 'base'",
-    });
-  }
-
-  if (!isValidEnum(startOrderType, ["market", "limit"])) {
-    return res.status(400).json({
-      success: false,
-      message: "Start order type must be 'market' or 'limit'",
-    });
-  }
-
-  if (!isValidEnum(takeProfitType, ["total", "step"])) {
-    return res.status(400).json({
-      success: false,
-      message: "Take profit type must be 'total' or 'step'",
-    });
-  }
-
-  // Validate numeric values
-  if (baseOrderSize <= 0) {
-    return res.status(400).json({
-      success: false,
-      message: "Base order size must be greater than 0",
-    });
-  }
-
-  if (targetProfitPercent <= 0 || targetProfitPercent > 100) {
-    return res.status(400).json({
-      success: false,
-      message: "Target profit percentage must be between 0 and 100",
-    });
-  }
+  // Multi bots trade a list of pairs; pair is always the first of them
+  const pairs = resolvePairs(params);
+  const pair = pairs[0];
+  // Numbers may arrive as strings; store the parsed conditions
+  const { value: conditions } = parseStartConditions(
+    startConditions || [],
+    direction
+  );
+  // Step bots close in parts; their target is the last step's profit
+  const steps = takeProfitSteps
+    ? parseTakeProfitSteps(takeProfitSteps).value
+    : [];
+  const takeProfit = steps.length
+    ? steps[steps.length - 1].profitPercent
+    : parseFloat(targetProfitPercent);
 
   try {
-    const user = await User.findOne({ userId });
+    const user = req.user;
     if (!user) {
       return res.status(404).json({
         success: false,
-        message: "User not found. Please check your user ID.",
+        message: "User not found. Please connect your Binance account first.",
       });
     }
 
-    // Check if user has 3Commas account ID
-    if (!user.threeCommasAccountId) {
+    // The exchange connection the bot trades on
+    const { connection, status, message } = await ExchangeConnection.resolve(
+      user,
+      connectionId
+    );
+    if (!connection) {
+      return res.status(status).json({ success: false, message });
+    }
+    const accountId = connection.threeCommasAccountId;
+    if (!accountId) {
       return res.status(400).json({
         success: false,
-        message:
-          "No 3Commas account found. Please connect your Binance account first.",
+        message: `Exchange connection "${connection.label}" has no 3Commas account. Please reconnect it.`,
       });
     }
 
@@ -162,13 +305,26 @@ exports.createBot = async (req, res) => {
       });
     }
 
+    // 📏 Pair listed and trading, order sizes above the exchange minimums
+    if (
+      await rejectMarketRules(res, params, {
+        accountId,
+        exchange: connection.exchange,
+      })
+    ) {
+      return;
+    }
+
+    // 💰 Pre-flight: can the Binance account fund this bot?
+    if (await rejectUnfunded(req, res, params, connection)) return;
+
     const mappedBotType = botType === "single" ? "simple" : "composite";
 
     // Enhanced 3Commas bot creation payload - Complete rewrite with all required fields
     const botPayload = {
       // Basic bot configuration
       name: botName,
-      account_id: user.threeCommasAccountId,
+      account_id: accountId,
       pair: pair,
       strategy: direction,
       bot_type: mappedBotType,
@@ -180,11 +336,15 @@ exports.createBot = async (req, res) => {
 
       // Profit configuration
       take_profit_type: takeProfitType,
-      take_profit: parseFloat(targetProfitPercent),
+      take_profit: takeProfit,
+      take_profit_steps: toThreeCommasSteps(steps),
       profit_currency: profitCurrency,
+      // Trailing take profit follows the price up once take profit is reached
+      trailing_enabled: Boolean(trailingEnabled),
+      trailing_deviation: parseFloat(trailingDeviation || 0.2),
 
       // Safety orders configuration
-      safety_order_type: "market",
+      safety_order_type: safetyOrderType || "market",
       safety_order_volume: parseFloat(safetyOrderVolume || baseOrderSize),
       safety_order_volume_type: "quote_currency",
       max_safety_orders: parseInt(maxSafetyOrders || 5),
@@ -193,17 +353,28 @@ exports.createBot = async (req, res) => {
       ),
 
       // Required 3Commas parameters
-      pairs: [pair], // Required: array of trading pairs
-      martingale_volume_coefficient: 1.0, // Required: volume multiplier for safety orders
-      martingale_step_coefficient: 1.0, // Required: step multiplier for safety orders
-      active_safety_orders_count: parseInt(maxSafetyOrders || 5), // Required: number of active safety orders
-      strategy_list: [], // Required: array of strategies
+      pairs, // Required: array of trading pairs
+      // Required: volume and step multipliers for each further safety order
+      martingale_volume_coefficient: parseFloat(
+        martingaleVolumeCoefficient || 1.0
+      ),
+      martingale_step_coefficient: parseFloat(martingaleStepCoefficient || 1.0),
+      // Required: number of safety orders placed at once
+      active_safety_orders_count: parseInt(
+        activeSafetyOrdersCount || maxSafetyOrders || 5
+      ),
+      // Required: deal start conditions, empty for non-stop
+      strategy_list: toStrategyList(conditions),
 
       // Deal configuration
-      max_active_deals: 1,
+      max_active_deals: parseInt(maxActiveDeals || 1),
 
       // Risk management
       stop_loss_percentage: parseFloat(stopLossPercentage || 0),
+      stop_loss_type: STOP_LOSS_TYPES[stopLossAction || "closeDeal"],
+      stop_loss_timeout_enabled: stopLossTimeout > 0,
+      stop_loss_timeout_in_seconds: parseInt(stopLossTimeout || 0),
+      tsl_enabled: Boolean(trailingStopLossEnabled),
       cooldown: parseInt(cooldown || 0),
 
       // Bot state
@@ -214,86 +385,89 @@ exports.createBot = async (req, res) => {
       note: note || `Bot created via API for ${userId}`,
     };
 
+    const path = "/ver1/bots"; // Try the standard endpoint first
+
     console.log("🔍 Attempting to create bot in 3Commas...");
     console.log(
       "📦 Bot payload being sent to 3Commas:",
       JSON.stringify(botPayload, null, 2)
     );
-    console.log("🔗 3Commas API Endpoint:", `${BASE_URL}${path}`);
-    console.log("🔑 User 3Commas Account ID:", user.threeCommasAccountId);
-
-    // Create signature for 3Commas API
-    const path = "/ver1/bots"; // Try the standard endpoint first
-    const payload = JSON.stringify(botPayload);
-    const signature = createSignatureFromParts(path, "", payload);
+    console.log("🔗 3Commas API Endpoint:", path);
+    console.log(
+      `🔑 3Commas Account ID: ${accountId} (connection "${connection.label}")`
+    );
 
     // Make request to 3Commas
     let threeCommasBotId = null;
     let threeCommasResponse = null;
 
     try {
-      const response = await axios.post(`${BASE_URL}${path}`, botPayload, {
-        headers: {
-          Apikey: THREE_COMMAS_API_KEY,
-          Signature: signature,
-          "Content-Type": "application/json",
-        },
-        timeout: 15000,
-      });
+      const response = await threeCommas.post(path, botPayload);
 
       console.log("✅ 3Commas bot creation successful:", response.data);
       threeCommasBotId = response.data.id;
       threeCommasResponse = response.data;
     } catch (error) {
-      console.error(
-        "❌ 3Commas bot creation failed:",
-        error?.response?.data || error.message
-      );
+      console.error("❌ 3Commas bot creation failed:", error.message);
 
       // Enhanced error logging
-      if (error.response) {
-        console.error("📊 3Commas Response Status:", error.response.status);
-        console.error("📊 3Commas Response Headers:", error.response.headers);
+      if (error.status) {
+        console.error("📊 3Commas Response Status:", error.status);
         console.error(
           "📊 3Commas Response Data:",
-          JSON.stringify(error.response.data, null, 2)
+          JSON.stringify(error.raw, null, 2)
         );
       }
 
-      if (error.request) {
-        console.error(
-          "📡 Request was made but no response received:",
-          error.request
-        );
-      }
-
-      return res.status(400).json({
-        success: false,
-        message: "Failed to create bot in 3Commas",
-        error: error?.response?.data || error.message,
-        details:
-          "Please check your 3Commas account configuration and try again.",
+      await recordAudit(req, {
+        action: "bot.create",
+        bot: { name: botName, exchangeId: accountId },
+        request: { method: "POST", path, body: botPayload },
+        error,
       });
+
+      return sendThreeCommasError(
+        res,
+        error,
+        "Failed to create bot in 3Commas",
+        {
+          details:
+            "Please check your 3Commas account configuration and try again.",
+        }
+      );
     }
 
     // ✅ Save bot in MongoDB only if 3Commas creation was successful
     const newBot = new Bot({
       user: user._id,
       name: botName,
-      exchangeId: user.threeCommasAccountId,
+      exchangeId: accountId,
       pair,
+      pairs,
+      maxActiveDeals: parseInt(maxActiveDeals || 1),
       strategy: direction,
       botType,
       profitCurrency,
       baseOrderSize,
       startOrderType,
       takeProfitType,
-      targetProfitPercent,
+      targetProfitPercent: takeProfit,
+      takeProfitSteps: steps,
+      trailingEnabled: Boolean(trailingEnabled),
+      trailingDeviation: trailingDeviation || 0.2,
       safetyOrderVolume: safetyOrderVolume || baseOrderSize,
       maxSafetyOrders: maxSafetyOrders || 5,
       safetyOrderStepPercentage: safetyOrderStepPercentage || 2.0,
+      safetyOrderType: safetyOrderType || "market",
+      activeSafetyOrdersCount: activeSafetyOrdersCount || maxSafetyOrders || 5,
+      martingaleVolumeCoefficient: martingaleVolumeCoefficient || 1.0,
+      martingaleStepCoefficient: martingaleStepCoefficient || 1.0,
       stopLossPercentage: stopLossPercentage || 0,
+      trailingStopLossEnabled: Boolean(trailingStopLossEnabled),
+      stopLossAction: stopLossAction || "closeDeal",
+      stopLossTimeout: stopLossTimeout || 0,
       cooldown: cooldown || 0,
+      startConditions: conditions,
       note: note || `Bot created via API for ${userId}`,
       threeCommasBotId: threeCommasBotId,
       status: "running",
@@ -301,20 +475,286 @@ exports.createBot = async (req, res) => {
 
     await newBot.save();
 
+    await recordAudit(req, {
+      action: "bot.create",
+      bot: newBot,
+      after: configSnapshot(newBot),
+      request: { method: "POST", path, body: botPayload },
+      response: threeCommasResponse,
+    });
+
     res.status(201).json({
       success: true,
       message: "Bot created successfully in 3Commas",
       botId: newBot._id,
       threeCommasBotId: threeCommasBotId,
       bot: newBot,
+      stopLoss: newBot.stopLossSettings(),
       threeCommasData: threeCommasResponse,
     });
+
+    return newBot;
   } catch (error) {
     console.error("❌ Bot creation failed:", error?.response?.data || error);
     res.status(500).json({
       success: false,
       message: "Bot creation failed",
-      error: error?.response?.data || error.message || error,
+      error: error.message || error,
+    });
+  }
+}
+
+// ✅ Create Bot from a Template
+exports.createBotFromTemplate = async (req, res) => {
+  const { templateId } = req.params;
+  const { botName, pair, pairs, connectionId, overrides = {} } = req.body || {};
+
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    return res.status(400).json({
+      success: false,
+      message: "overrides must be an object",
+    });
+  }
+
+  try {
+    const template =
+      req.user && mongoose.isValidObjectId(templateId)
+        ? await BotTemplate.findOne({ _id: templateId, user: req.user._id })
+        : null;
+    if (!template) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Template not found" });
+    }
+
+    const notOverridable = Object.keys(overrides).filter(
+      (field) => !template.overridableFields.includes(field)
+    );
+    if (notOverridable.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `These fields cannot be overridden for this template: ${notOverridable.join(
+          ", "
+        )}`,
+        overridableFields: template.overridableFields,
+      });
+    }
+
+    const params = {
+      ...template.toBotParams(),
+      ...overrides,
+      botName,
+      connectionId,
+    };
+    if (pairs) {
+      params.pairs = pairs;
+    } else if (pair) {
+      // A single pair replaces the template's pair list
+      params.pair = pair;
+      delete params.pairs;
+    }
+    if (!params.note) {
+      params.note = `Bot created from template ${template.name} for ${req.auth.userId}`;
+    }
+
+    const bot = await createBotFromParams(req, res, params);
+    if (bot) {
+      await BotTemplate.updateOne(
+        { _id: template._id },
+        { $inc: { timesUsed: 1 } }
+      );
+    }
+  } catch (error) {
+    console.error("❌ Create bot from template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Bot creation failed",
+      error: error.message,
+    });
+  }
+};
+
+// Config fields the ladder preview reads from the request
+const PREVIEW_FIELDS = [
+  "strategy",
+  "baseOrderSize",
+  "targetProfitPercent",
+  "safetyOrderVolume",
+  "maxSafetyOrders",
+  "safetyOrderStepPercentage",
+  "activeSafetyOrdersCount",
+  "martingaleVolumeCoefficient",
+  "martingaleStepCoefficient",
+];
+
+/**
+ * Validate ladder fields the way a saved bot would be, with the same defaults.
+ * @returns {{ ladderConfig?: Object, message?: string, errors?: string[] }}
+ */
+function draftLadderConfig(config, direction) {
+  // An unsaved Bot applies the same defaults, casting and bounds as a real one
+  const draft = new Bot({ ...config, strategy: direction });
+  const castError = draft.validateSync(PREVIEW_FIELDS);
+  const errors = castError
+    ? Object.values(castError.errors).map((error) => error.message)
+    : draft.validateConfig();
+
+  if (errors.length > 0) {
+    return { message: "Invalid bot configuration", errors };
+  }
+
+  const ladderConfig = Object.fromEntries(
+    PREVIEW_FIELDS.map((field) => [field, draft[field]])
+  );
+  ladderConfig.direction = ladderConfig.strategy;
+  delete ladderConfig.strategy;
+
+  const maxDeviation = safetyOrderSteps(ladderConfig).at(-1)?.deviationPercent;
+  if (draft.strategy === "long" && maxDeviation >= 100) {
+    return {
+      message: `Safety orders would reach ${maxDeviation.toFixed(
+        2
+      )}% below entry; reduce the step, step coefficient or number of safety orders`,
+    };
+  }
+
+  return { ladderConfig };
+}
+
+// ✅ Preview DCA ladder and capital needs without creating a bot
+exports.previewBot = async (req, res) => {
+  const { entryPrice, direction = "long", ...config } = req.body || {};
+
+  const price = Number(entryPrice);
+  if (!Number.isFinite(price) || price <= 0) {
+    return res.status(400).json({
+      success: false,
+      message: "entryPrice must be a number greater than 0",
+    });
+  }
+
+  try {
+    const { ladderConfig, message, errors } = draftLadderConfig(
+      config,
+      direction
+    );
+    if (!ladderConfig) {
+      return res.status(400).json({ success: false, message, errors });
+    }
+
+    const ladder = buildLadder(ladderConfig, price);
+
+    res.json({
+      success: true,
+      entryPrice: price,
+      direction: ladderConfig.direction,
+      config: ladderConfig,
+      ...ladder,
+    });
+  } catch (error) {
+    console.error("❌ Bot preview error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to build bot preview",
+      error: error.message,
+    });
+  }
+};
+
+// ✅ Backtest a bot configuration against historical candles
+exports.backtestBot = async (req, res) => {
+  const {
+    candles: uploaded,
+    csv,
+    dataset,
+    feePercent = 0,
+    ...params
+  } = req.body || {};
+
+  const validationError = validateBotParams(params, { template: true });
+  if (validationError) {
+    return res.status(400).json({ success: false, message: validationError });
+  }
+
+  const fee = Number(feePercent);
+  if (!Number.isFinite(fee) || fee < 0 || fee >= 10) {
+    return res.status(400).json({
+      success: false,
+      message: "feePercent must be a number from 0 to below 10",
+    });
+  }
+
+  const sources = [uploaded, csv, dataset].filter((s) => s !== undefined);
+  if (sources.length !== 1) {
+    return res.status(400).json({
+      success: false,
+      message: "Send exactly one of candles, csv or dataset",
+    });
+  }
+
+  // Step take profit is replayed as one exit at the last step
+  if (params.takeProfitSteps) {
+    params.targetProfitPercent = parseTakeProfitSteps(
+      params.takeProfitSteps
+    ).value.at(-1).profitPercent;
+  }
+
+  try {
+    const { ladderConfig, message, errors } = draftLadderConfig(
+      params,
+      params.direction
+    );
+    if (!ladderConfig) {
+      return res.status(400).json({ success: false, message, errors });
+    }
+
+    let input = uploaded ?? csv;
+    if (dataset !== undefined) {
+      input = await readDataset(String(dataset));
+      if (input === null) {
+        return res.status(404).json({
+          success: false,
+          message: `Dataset ${dataset} not found`,
+        });
+      }
+    }
+
+    const { value: candles, error } = parseCandles(input);
+    if (error) {
+      return res
+        .status(400)
+        .json({ success: false, message: `Invalid candles: ${error}` });
+    }
+
+    const result = runBacktest(
+      {
+        ...ladderConfig,
+        stopLossPercentage: params.stopLossPercentage,
+        stopLossAction: params.stopLossAction,
+        cooldown: params.cooldown,
+      },
+      candles,
+      { feePercent: fee }
+    );
+
+    res.json({
+      success: true,
+      message: "Backtest completed",
+      config: {
+        ...ladderConfig,
+        stopLossPercentage: Number(params.stopLossPercentage) || 0,
+        stopLossAction: params.stopLossAction || "closeDeal",
+        cooldown: Number(params.cooldown) || 0,
+        feePercent: fee,
+      },
+      ...result,
+    });
+  } catch (error) {
+    console.error("❌ Backtest error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to run backtest",
+      error: error.message,
     });
   }
 };
@@ -325,8 +765,10 @@ exports.verifyBotCreation = async (req, res) => {
     const { botId } = req.params;
 
     const bot = await Bot.findById(botId);
-    if (!bot) {
-      return res.status(404).json({ message: "Bot not found" });
+    if (!bot || !req.user || bot.user.toString() !== req.user._id.toString()) {
+      return res
+        .status(404)
+        .json({ message: "Bot not found or access denied" });
     }
 
     if (!bot.threeCommasBotId) {
@@ -338,17 +780,9 @@ exports.verifyBotCreation = async (req, res) => {
 
     // Check if bot exists in 3Commas
     const path = `/ver1/bots/${bot.threeCommasBotId}`;
-    const signature = createSignatureFromParts(path, "", "");
 
     try {
-      const response = await axios.get(`${BASE_URL}${path}`, {
-        headers: {
-          Apikey: THREE_COMMAS_API_KEY,
-          Signature: signature,
-          "Content-Type": "application/json",
-        },
-        timeout: 15000,
-      });
+      const response = await threeCommas.get(path);
 
       console.log("✅ Bot verification successful:", response.data);
 
@@ -360,18 +794,21 @@ exports.verifyBotCreation = async (req, res) => {
         status: "verified",
       });
     } catch (error) {
-      console.error(
-        "❌ Bot verification failed:",
-        error?.response?.data || error.message
+      console.error("❌ Bot verification failed:", error.message);
+
+      const notFound = error instanceof ThreeCommasNotFoundError;
+      return sendThreeCommasError(
+        res,
+        error,
+        notFound
+          ? "Bot not found in 3Commas"
+          : "Failed to verify bot in 3Commas",
+        {
+          botId: bot._id,
+          threeCommasBotId: bot.threeCommasBotId,
+          status: notFound ? "not_found" : "error",
+        }
       );
-
-      return res.status(400).json({
-        message: "Bot not found in 3Commas",
-        botId: bot._id,
-        threeCommasBotId: bot.threeCommasBotId,
-        error: error?.response?.data || error.message,
-        status: "not_found",
-      });
     }
   } catch (error) {
     console.error("❌ Bot verification error:", error);
@@ -385,14 +822,8 @@ exports.verifyBotCreation = async (req, res) => {
 // ✅ List all bots from 3Commas
 exports.listThreeCommasBots = async (req, res) => {
   try {
-    const { userId } = req.query;
-
-    if (!userId) {
-      return res.status(400).json({ message: "userId is required" });
-    }
-
-    const user = await User.findOne({ userId });
-    if (!user || !user.threeCommasAccountId) {
+    const accountIds = await ExchangeConnection.accountIdsForUser(req.user);
+    if (accountIds.length === 0) {
       return res.status(400).json({
         message:
           "No 3Commas account found. Please connect your Binance account first.",
@@ -400,23 +831,15 @@ exports.listThreeCommasBots = async (req, res) => {
     }
 
     const path = "/ver1/bots";
-    const signature = createSignatureFromParts(path, "", "");
 
     try {
-      const response = await axios.get(`${BASE_URL}${path}`, {
-        headers: {
-          Apikey: THREE_COMMAS_API_KEY,
-          Signature: signature,
-          "Content-Type": "application/json",
-        },
-        timeout: 15000,
-      });
+      const response = await threeCommas.get(path);
 
       console.log("✅ 3Commas bots list retrieved:", response.data);
 
-      // Filter bots for this user's account
-      const userBots = response.data.filter(
-        (bot) => bot.account_id === user.threeCommasAccountId
+      // Filter bots for this user's accounts
+      const userBots = response.data.filter((bot) =>
+        accountIds.includes(bot.account_id)
       );
 
       return res.json({
@@ -424,18 +847,16 @@ exports.listThreeCommasBots = async (req, res) => {
         totalBots: response.data.length,
         userBots: userBots.length,
         bots: userBots,
-        accountId: user.threeCommasAccountId,
+        accountIds,
       });
     } catch (error) {
-      console.error(
-        "❌ Failed to retrieve 3Commas bots:",
-        error?.response?.data || error.message
-      );
+      console.error("❌ Failed to retrieve 3Commas bots:", error.message);
 
-      return res.status(400).json({
-        message: "Failed to retrieve bots from 3Commas",
-        error: error?.response?.data || error.message,
-      });
+      return sendThreeCommasError(
+        res,
+        error,
+        "Failed to retrieve bots from 3Commas"
+      );
     }
   } catch (error) {
     console.error("❌ List bots error:", error);
@@ -449,18 +870,11 @@ exports.listThreeCommasBots = async (req, res) => {
 // ✅ Get Bot Statistics and Performance
 exports.getBotStats = async (req, res) => {
   try {
-    const { userId } = req.query;
     const { botId } = req.params;
 
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        message: "userId is required",
-      });
-    }
-
-    const user = await User.findOne({ userId });
-    if (!user || !user.threeCommasAccountId) {
+    const user = req.user;
+    const accountIds = await ExchangeConnection.accountIdsForUser(user);
+    if (!user || accountIds.length === 0) {
       return res.status(400).json({
         success: false,
         message:
@@ -487,17 +901,9 @@ exports.getBotStats = async (req, res) => {
 
       // Get bot details from 3Commas
       const path = `/ver1/bots/${bot.threeCommasBotId}`;
-      const signature = createSignatureFromParts(path, "", "");
 
       try {
-        const response = await axios.get(`${BASE_URL}${path}`, {
-          headers: {
-            Apikey: THREE_COMMAS_API_KEY,
-            Signature: signature,
-            "Content-Type": "application/json",
-          },
-          timeout: 15000,
-        });
+        const response = await threeCommas.get(path);
 
         const botData = response.data;
 
@@ -524,19 +930,20 @@ exports.getBotStats = async (req, res) => {
           success: true,
           message: "Bot statistics retrieved successfully",
           bot: bot,
+          stopLoss: bot.stopLossSettings(),
           threeCommasData: botData,
           performance: performance,
         });
       } catch (error) {
         console.error(
           "❌ Failed to get bot stats from 3Commas:",
-          error?.response?.data || error.message
+          error.message
+        );
+        return sendThreeCommasError(
+          res,
+          error,
+          "Failed to get bot statistics from 3Commas"
         );
-        return res.status(400).json({
-          success: false,
-          message: "Failed to get bot statistics from 3Commas",
-          error: error?.response?.data || error.message,
-        });
       }
     } else {
       // Get all bots stats for user
@@ -558,20 +965,12 @@ exports.getBotStats = async (req, res) => {
 
       // Get summary stats from 3Commas
       const path = "/ver1/bots";
-      const signature = createSignatureFromParts(path, "", "");
 
       try {
-        const response = await axios.get(`${BASE_URL}${path}`, {
-          headers: {
-            Apikey: THREE_COMMAS_API_KEY,
-            Signature: signature,
-            "Content-Type": "application/json",
-          },
-          timeout: 15000,
-        });
+        const response = await threeCommas.get(path);
 
-        const userBots = response.data.filter(
-          (bot) => bot.account_id === user.threeCommasAccountId
+        const userBots = response.data.filter((bot) =>
+          accountIds.includes(bot.account_id)
         );
 
         const summary = {
@@ -605,7 +1004,7 @@ exports.getBotStats = async (req, res) => {
       } catch (error) {
         console.error(
           "❌ Failed to get bots summary from 3Commas:",
-          error?.response?.data || error.message
+          error.message
         );
 
         // Return local bot data even if 3Commas fails
@@ -638,16 +1037,8 @@ exports.getBotStats = async (req, res) => {
 exports.updateBot = async (req, res) => {
   try {
     const { botId } = req.params;
-    const { userId, ...updateData } = req.body;
 
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        message: "userId is required",
-      });
-    }
-
-    const user = await User.findOne({ userId });
+    const user = req.user;
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -663,51 +1054,44 @@ exports.updateBot = async (req, res) => {
       });
     }
 
-    if (!bot.threeCommasBotId) {
+    const { changes, errors } = parseBotUpdate(req.body || {}, bot);
+
+    if (Object.keys(errors).length > 0) {
       return res.status(400).json({
         success: false,
-        message: "Bot not linked to 3Commas",
+        message: "Invalid bot update",
+        errors,
       });
     }
 
-    // Update bot in 3Commas
-    const path = `/ver1/bots/${bot.threeCommasBotId}`;
-    const payload = JSON.stringify(updateData);
-    const signature = createSignatureFromParts(path, "", payload);
-
-    try {
-      await axios.patch(`${BASE_URL}${path}`, updateData, {
-        headers: {
-          Apikey: THREE_COMMAS_API_KEY,
-          Signature: signature,
-          "Content-Type": "application/json",
-        },
-        timeout: 15000,
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `No updatable fields provided. Allowed: ${UPDATABLE_FIELDS.join(
+          ", "
+        )}`,
       });
+    }
 
-      console.log("✅ Bot updated in 3Commas successfully");
-    } catch (error) {
-      console.error(
-        "❌ Failed to update bot in 3Commas:",
-        error?.response?.data || error.message
-      );
+    if (!bot.threeCommasBotId) {
       return res.status(400).json({
         success: false,
-        message: "Failed to update bot in 3Commas",
-        error: error?.response?.data || error.message,
+        message: "Bot not linked to 3Commas",
       });
     }
 
-    // Update local bot data
-    const updatedBot = await Bot.findByIdAndUpdate(botId, updateData, {
-      new: true,
-      runValidators: true,
+    const result = await applyBotConfig(req, res, bot, changes, {
+      replacedBy: "update",
     });
+    if (!result) return;
 
     res.json({
       success: true,
       message: "Bot updated successfully",
-      bot: updatedBot,
+      configVersion: result.bot.configVersion,
+      changedFields: result.changedFields,
+      bot: result.bot,
+      stopLoss: result.bot.stopLossSettings(),
     });
   } catch (error) {
     console.error("❌ Update bot error:", error);
@@ -719,21 +1103,118 @@ exports.updateBot = async (req, res) => {
   }
 };
 
-// ✅ Get Bot Performance Metrics
-exports.getBotPerformance = async (req, res) => {
+// ✅ List Bot Configuration Versions
+exports.getBotVersions = async (req, res) => {
   try {
     const { botId } = req.params;
-    const { userId } = req.query;
 
-    if (!userId) {
+    const user = req.user;
+    const bot =
+      user && mongoose.isValidObjectId(botId)
+        ? await Bot.findById(botId)
+        : null;
+    if (!bot || bot.user.toString() !== user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: "Bot not found or access denied",
+      });
+    }
+
+    const versions = await BotConfigVersion.find({ bot: bot._id }).sort({
+      version: -1,
+    });
+
+    res.json({
+      success: true,
+      botId: bot._id,
+      currentVersion: bot.configVersion,
+      current: pickBotConfig(bot),
+      versions,
+    });
+  } catch (error) {
+    console.error("❌ Get bot versions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch bot versions",
+      error: error.message,
+    });
+  }
+};
+
+// ✅ Roll Bot Back to a Previous Configuration Version
+exports.rollbackBot = async (req, res) => {
+  try {
+    const { botId, version } = req.params;
+
+    if (!/^[1-9]\d*$/.test(version)) {
       return res.status(400).json({
         success: false,
-        message: "userId is required",
+        message: "version must be a positive integer",
+      });
+    }
+
+    const user = req.user;
+    const bot =
+      user && mongoose.isValidObjectId(botId)
+        ? await Bot.findById(botId)
+        : null;
+    if (!bot || bot.user.toString() !== user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: "Bot not found or access denied",
+      });
+    }
+
+    if (!bot.threeCommasBotId) {
+      return res.status(400).json({
+        success: false,
+        message: "Bot not linked to 3Commas",
+      });
+    }
+
+    const snapshot = await BotConfigVersion.findOne({
+      bot: bot._id,
+      version: Number(version),
+    });
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${version} not found for this bot`,
       });
     }
 
-    const user = await User.findOne({ userId });
-    if (!user || !user.threeCommasAccountId) {
+    const result = await applyBotConfig(req, res, bot, snapshot.config, {
+      replacedBy: "rollback",
+      restoredVersion: snapshot.version,
+    });
+    if (!result) return;
+
+    res.json({
+      success: true,
+      message: `Bot rolled back to version ${snapshot.version}`,
+      configVersion: result.bot.configVersion,
+      changedFields: result.changedFields,
+      bot: result.bot,
+      stopLoss: result.bot.stopLossSettings(),
+    });
+  } catch (error) {
+    console.error("❌ Rollback bot error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to roll back bot",
+      error: error.message,
+    });
+  }
+};
+
+// ✅ Get Bot Performance Metrics
+exports.getBotPerformance = async (req, res) => {
+  try {
+    const { botId } = req.params;
+
+    const user = req.user;
+    const accountIds = await ExchangeConnection.accountIdsForUser(user);
+    if (!user || accountIds.length === 0) {
       return res.status(400).json({
         success: false,
         message:
@@ -758,17 +1239,9 @@ exports.getBotPerformance = async (req, res) => {
 
     // Get bot deals from 3Commas
     const path = `/ver1/bots/${bot.threeCommasBotId}/deals`;
-    const signature = createSignatureFromParts(path, "", "");
 
     try {
-      const response = await axios.get(`${BASE_URL}${path}`, {
-        headers: {
-          Apikey: THREE_COMMAS_API_KEY,
-          Signature: signature,
-          "Content-Type": "application/json",
-        },
-        timeout: 15000,
-      });
+      const response = await threeCommas.get(path);
 
       const deals = response.data || [];
 
@@ -825,15 +1298,12 @@ exports.getBotPerformance = async (req, res) => {
         performance: performance,
       });
     } catch (error) {
-      console.error(
-        "❌ Failed to get bot deals from 3Commas:",
-        error?.response?.data || error.message
+      console.error("❌ Failed to get bot deals from 3Commas:", error.message);
+      return sendThreeCommasError(
+        res,
+        error,
+        "Failed to get bot deals from 3Commas"
       );
-      return res.status(400).json({
-        success: false,
-        message: "Failed to get bot deals from 3Commas",
-        error: error?.response?.data || error.message,
-      });
     }
   } catch (error) {
     console.error("❌ Get bot performance error:", error);
@@ -849,17 +1319,11 @@ exports.getBotPerformance = async (req, res) => {
 exports.getBotDeals = async (req, res) => {
   try {
     const { botId } = req.params;
-    const { userId, limit = 50, offset = 0 } = req.query;
+    const { limit = 50, offset = 0 } = req.query;
 
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        message: "userId is required",
-      });
-    }
-
-    const user = await User.findOne({ userId });
-    if (!user || !user.threeCommasAccountId) {
+    const user = req.user;
+    const accountIds = await ExchangeConnection.accountIdsForUser(user);
+    if (!user || accountIds.length === 0) {
       return res.status(400).json({
         success: false,
         message:
@@ -884,17 +1348,10 @@ exports.getBotDeals = async (req, res) => {
 
     // Get bot deals from 3Commas with pagination
     const path = `/ver1/bots/${bot.threeCommasBotId}/deals`;
-    const queryString = `limit=${limit}&offset=${offset}`;
-    const signature = createSignatureFromParts(path, queryString, "");
 
     try {
-      const response = await axios.get(`${BASE_URL}${path}?${queryString}`, {
-        headers: {
-          Apikey: THREE_COMMAS_API_KEY,
-          Signature: signature,
-          "Content-Type": "application/json",
-        },
-        timeout: 15000,
+      const response = await threeCommas.get(path, {
+        params: { limit, offset },
       });
 
       const deals = response.data || [];
@@ -911,15 +1368,12 @@ exports.getBotDeals = async (req, res) => {
         },
       });
     } catch (error) {
-      console.error(
-        "❌ Failed to get bot deals from 3Commas:",
-        error?.response?.data || error.message
+      console.error("❌ Failed to get bot deals from 3Commas:", error.message);
+      return sendThreeCommasError(
+        res,
+        error,
+        "Failed to get bot deals from 3Commas"
       );
-      return res.status(400).json({
-        success: false,
-        message: "Failed to get bot deals from 3Commas",
-        error: error?.response?.data || error.message,
-      });
     }
   } catch (error) {
     console.error("❌ Get bot deals error:", error);
@@ -935,16 +1389,17 @@ exports.getBotDeals = async (req, res) => {
 exports.duplicateBot = async (req, res) => {
   try {
     const { botId } = req.params;
-    const { userId, newName } = req.body;
+    const { userId } = req.auth;
+    const { newName } = req.body;
 
-    if (!userId || !newName) {
+    if (!newName) {
       return res.status(400).json({
         success: false,
-        message: "userId and newName are required",
+        message: "newName is required",
       });
     }
 
-    const user = await User.findOne({ userId });
+    const user = req.user;
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -974,10 +1429,13 @@ exports.duplicateBot = async (req, res) => {
       });
     }
 
-    // Create new bot in 3Commas with modified name
+    // 💰 Pre-flight: can the Binance account fund another copy?
+    if (await rejectUnfunded(req, res, originalBot)) return;
+
+    // Create new bot in 3Commas with modified name, on the same account
     const botPayload = {
       name: newName,
-      account_id: user.threeCommasAccountId,
+      account_id: originalBot.exchangeId,
       pair: originalBot.pair,
       strategy: originalBot.strategy,
       bot_type: originalBot.botType === "single" ? "simple" : "composite",
@@ -986,20 +1444,27 @@ exports.duplicateBot = async (req, res) => {
       start_order_type: originalBot.startOrderType,
       take_profit_type: originalBot.takeProfitType,
       take_profit: originalBot.targetProfitPercent,
-      safety_order_type: "market",
+      take_profit_steps: toThreeCommasSteps(originalBot.takeProfitSteps),
+      safety_order_type: originalBot.safetyOrderType,
       safety_order_volume: originalBot.safetyOrderVolume,
       max_safety_orders: originalBot.maxSafetyOrders,
       safety_order_step_percentage: originalBot.safetyOrderStepPercentage,
       safety_order_volume_type: "quote_currency",
-      max_active_deals: 1,
+      max_active_deals: originalBot.maxActiveDeals || 1,
       active: false, // Start as paused
       // Required 3Commas parameters
-      pairs: [originalBot.pair], // Required: array of trading pairs
-      martingale_volume_coefficient: 1.0, // Required: volume multiplier for safety orders
-      martingale_step_coefficient: 1.0, // Required: step multiplier for safety orders
-      active_safety_orders_count: originalBot.maxSafetyOrders, // Required: number of active safety orders
-      strategy_list: [], // Required: array of strategies
+      pairs: originalBot.getPairs(), // Required: array of trading pairs
+      martingale_volume_coefficient: originalBot.martingaleVolumeCoefficient, // Required: volume multiplier for safety orders
+      martingale_step_coefficient: originalBot.martingaleStepCoefficient, // Required: step multiplier for safety orders
+      active_safety_orders_count: originalBot.activeSafetyOrdersCount, // Required: number of active safety orders
+      strategy_list: toStrategyList(originalBot.startConditions), // Required: deal start conditions
       stop_loss_percentage: originalBot.stopLossPercentage,
+      stop_loss_type: STOP_LOSS_TYPES[originalBot.stopLossAction],
+      stop_loss_timeout_enabled: originalBot.stopLossTimeout > 0,
+      stop_loss_timeout_in_seconds: originalBot.stopLossTimeout,
+      tsl_enabled: originalBot.trailingStopLossEnabled,
+      trailing_enabled: originalBot.trailingEnabled,
+      trailing_deviation: originalBot.trailingDeviation,
       cooldown: originalBot.cooldown,
       btc_price_limit: 0,
       base_order_volume_type: "quote_currency",
@@ -1007,45 +1472,41 @@ exports.duplicateBot = async (req, res) => {
       note: `Bot duplicated from ${originalBot.name} for ${userId}`,
     };
 
-    // Create signature for 3Commas API - Fixed endpoint
     const path = "/ver1/bots/create_bot";
-    const payload = JSON.stringify(botPayload);
-    const signature = createSignatureFromParts(path, "", payload);
 
     let threeCommasBotId = null;
     let threeCommasResponse = null;
 
     try {
-      const response = await axios.post(`${BASE_URL}${path}`, botPayload, {
-        headers: {
-          Apikey: THREE_COMMAS_API_KEY,
-          Signature: signature,
-          "Content-Type": "application/json",
-        },
-        timeout: 15000,
-      });
+      const response = await threeCommas.post(path, botPayload);
 
       console.log("✅ 3Commas bot duplication successful:", response.data);
       threeCommasBotId = response.data.id;
       threeCommasResponse = response.data;
     } catch (error) {
-      console.error(
-        "❌ 3Commas bot duplication failed:",
-        error?.response?.data || error.message
-      );
-      return res.status(400).json({
-        success: false,
-        message: "Failed to duplicate bot in 3Commas",
-        error: error?.response?.data || error.message,
+      console.error("❌ 3Commas bot duplication failed:", error.message);
+      await recordAudit(req, {
+        action: "bot.duplicate",
+        bot: { name: newName, exchangeId: originalBot.exchangeId },
+        before: configSnapshot(originalBot),
+        request: { method: "POST", path, body: botPayload },
+        error,
       });
+      return sendThreeCommasError(
+        res,
+        error,
+        "Failed to duplicate bot in 3Commas"
+      );
     }
 
     // Create new bot in MongoDB
     const newBot = new Bot({
       user: user._id,
       name: newName,
-      exchangeId: user.threeCommasAccountId,
+      exchangeId: originalBot.exchangeId,
       pair: originalBot.pair,
+      pairs: originalBot.pairs,
+      maxActiveDeals: originalBot.maxActiveDeals,
       strategy: originalBot.strategy,
       botType: originalBot.botType,
       profitCurrency: originalBot.profitCurrency,
@@ -1053,19 +1514,39 @@ exports.duplicateBot = async (req, res) => {
       startOrderType: originalBot.startOrderType,
       takeProfitType: originalBot.takeProfitType,
       targetProfitPercent: originalBot.targetProfitPercent,
+      takeProfitSteps: originalBot.takeProfitSteps,
       safetyOrderVolume: originalBot.safetyOrderVolume,
       maxSafetyOrders: originalBot.maxSafetyOrders,
       safetyOrderStepPercentage: originalBot.safetyOrderStepPercentage,
+      safetyOrderType: originalBot.safetyOrderType,
+      activeSafetyOrdersCount: originalBot.activeSafetyOrdersCount,
+      martingaleVolumeCoefficient: originalBot.martingaleVolumeCoefficient,
+      martingaleStepCoefficient: originalBot.martingaleStepCoefficient,
       stopLossPercentage: originalBot.stopLossPercentage,
+      trailingStopLossEnabled: originalBot.trailingStopLossEnabled,
+      stopLossAction: originalBot.stopLossAction,
+      stopLossTimeout: originalBot.stopLossTimeout,
+      trailingEnabled: originalBot.trailingEnabled,
+      trailingDeviation: originalBot.trailingDeviation,
       cooldown: originalBot.cooldown,
+      startConditions: originalBot.startConditions,
       note: `Bot duplicated from ${originalBot.name} for ${userId}`,
       threeCommasBotId: threeCommasBotId,
       status: "paused", // Start as paused
-      configVersion: originalBot.configVersion + 1,
+      // Has no version history of its own; starts at the default version 1
     });
 
     await newBot.save();
 
+    await recordAudit(req, {
+      action: "bot.duplicate",
+      bot: newBot,
+      before: configSnapshot(originalBot),
+      after: configSnapshot(newBot),
+      request: { method: "POST", path, body: botPayload },
+      response: threeCommasResponse,
+    });
+
     res.status(201).json({
       success: true,
       message: "Bot duplicated successfully",
@@ -1073,6 +1554,7 @@ exports.duplicateBot = async (req, res) => {
       newBot: newBot._id,
       threeCommasBotId: threeCommasBotId,
       bot: newBot,
+      stopLoss: newBot.stopLossSettings(),
       threeCommasData: threeCommasResponse,
     });
   } catch (error) {
@@ -0,0 +1,373 @@
+const mongoose = require("mongoose");
+const Bot = require("../models/bot");
+const Deal = require("../models/Deal");
+const threeCommas = require("../utils/threeCommas");
+const { sendThreeCommasError } = require("../middleware/errorHandler");
+const { ThreeCommasNotFoundError } = require("../utils/errors");
+const { recordAudit } = require("../utils/audit");
+const { safetyOrderSteps } = require("../utils/dcaLadder");
+
+const round = (value) => Math.round(value * 1e8) / 1e8;
+
+// Part of a 3Commas deal kept in audit before/after snapshots
+const dealSnapshot = (deal) => ({
+  status: deal.status,
+  takeProfit: deal.take_profit,
+  stopLossPercentage: deal.stop_loss_percentage,
+  boughtAmount: deal.bought_amount,
+  boughtVolume: deal.bought_volume,
+  completedSafetyOrders: deal.completed_safety_orders_count,
+});
+
+/**
+ * Load a deal of one of the user's bots from 3Commas. The bot must belong to
+ * the user and the deal to the bot. Responds and returns null otherwise.
+ * @returns {Promise<{bot: Object, deal: Object}|null>} deal is the 3Commas payload
+ */
+async function loadOwnedDeal(req, res) {
+  const { botId, dealId } = req.params;
+
+  const bot = mongoose.isValidObjectId(botId)
+    ? await Bot.findById(botId)
+    : null;
+  if (!bot || !req.user || bot.user.toString() !== req.user._id.toString()) {
+    res.status(404).json({ message: "Bot not found or access denied" });
+    return null;
+  }
+
+  if (!bot.threeCommasBotId) {
+    res.status(400).json({ message: "Bot not linked to 3Commas" });
+    return null;
+  }
+
+  if (!/^\d+$/.test(dealId)) {
+    res.status(400).json({ message: "dealId must be a 3Commas deal id" });
+    return null;
+  }
+
+  let deal;
+  try {
+    ({ data: deal } = await threeCommas.get(`/ver1/deals/${dealId}/show`));
+  } catch (error) {
+    if (error instanceof ThreeCommasNotFoundError) {
+      res.status(404).json({ message: "Deal not found" });
+      return null;
+    }
+    console.error("❌ Failed to load deal from 3Commas:", error.message);
+    sendThreeCommasError(res, error, "Failed to load deal from 3Commas");
+    return null;
+  }
+
+  // Deal ids are global in 3Commas; the deal must run on this bot
+  if (deal.bot_id !== bot.threeCommasBotId) {
+    res.status(404).json({ message: "Deal not found for this bot" });
+    return null;
+  }
+
+  return { bot, deal };
+}
+
+// The deal's last price from 3Commas; responds and returns null when it is
+// missing, since order quantities cannot be worked out without it
+function currentPrice(res, deal) {
+  const price = parseFloat(deal.current_price);
+  if (Number.isFinite(price) && price > 0) return price;
+  res.status(502).json({
+    message: "3Commas did not return a current price for the deal",
+  });
+  return null;
+}
+
+// Responds and returns true when the deal can no longer be acted on
+function rejectFinished(res, deal) {
+  if (!deal["finished?"]) return false;
+  res
+    .status(400)
+    .json({ message: `Deal is already finished (status ${deal.status})` });
+  return true;
+}
+
+/**
+ * Send a deal action to 3Commas, store the returned deal and audit the call.
+ * Responds on failure and returns null.
+ * @returns {Promise<Object|null>} 3Commas response data
+ */
+async function runDealAction(req, res, { bot, deal }, action) {
+  const { audit, label, method, path, body } = action;
+  const request = { method, path, body };
+
+  let data;
+  try {
+    ({ data } = await threeCommas.request({ method, url: path, data: body }));
+
+    console.log(`✅ 3Commas ${method} ${path} successful`);
+  } catch (error) {
+    console.error(`❌ Failed to ${label} deal in 3Commas:`, error.message);
+    await recordAudit(req, {
+      action: audit,
+      bot,
+      dealId: deal.id,
+      before: dealSnapshot(deal),
+      request,
+      error,
+    });
+    sendThreeCommasError(res, error, `Failed to ${label} deal in 3Commas`);
+    return null;
+  }
+
+  // add_funds answers with the order, everything else with the updated deal;
+  // the deal sync worker picks up whatever is not stored here
+  const updated = data?.id === deal.id ? data : null;
+  if (updated) {
+    await Deal.updateOne(
+      { threeCommasDealId: deal.id },
+      {
+        $set: {
+          ...Deal.fromThreeCommas(updated),
+          bot: bot._id,
+          user: bot.user,
+        },
+      },
+      { upsert: true }
+    );
+  }
+
+  await recordAudit(req, {
+    action: audit,
+    bot,
+    dealId: deal.id,
+    before: dealSnapshot(deal),
+    after: updated ? dealSnapshot(updated) : null,
+    request,
+    response: data,
+  });
+
+  return data;
+}
+
+// ✅ Close deal at market (panic sell)
+exports.closeDeal = async (req, res) => {
+  try {
+    const target = await loadOwnedDeal(req, res);
+    if (!target || rejectFinished(res, target.deal)) return;
+
+    const data = await runDealAction(req, res, target, {
+      audit: "deal.close",
+      label: "close",
+      method: "POST",
+      path: `/ver1/deals/${target.deal.id}/panic_sell`,
+      body: {},
+    });
+    if (!data) return;
+
+    res.status(200).json({ message: "Deal closed at market", deal: data });
+  } catch (error) {
+    console.error("❌ Close deal error:", error.message);
+    res
+      .status(500)
+      .json({ message: "Internal server error", error: error.message });
+  }
+};
+
+// ✅ Cancel deal (stop managing it without selling)
+exports.cancelDeal = async (req, res) => {
+  try {
+    const target = await loadOwnedDeal(req, res);
+    if (!target || rejectFinished(res, target.deal)) return;
+
+    const data = await runDealAction(req, res, target, {
+      audit: "deal.cancel",
+      label: "cancel",
+      method: "POST",
+      path: `/ver1/deals/${target.deal.id}/cancel`,
+      body: {},
+    });
+    if (!data) return;
+
+    res.status(200).json({ message: "Deal cancelled", deal: data });
+  } catch (error) {
+    console.error("❌ Cancel deal error:", error.message);
+    res
+      .status(500)
+      .json({ message: "Internal server error", error: error.message });
+  }
+};
+
+// 3Commas add_funds body for a buy of `quantity` base, at market unless a price is given
+const addFundsBody = (deal, quantity, price) => ({
+  deal_id: deal.id,
+  quantity: round(quantity),
+  is_market: !price,
+  ...(price && { rate: price }),
+});
+
+// ✅ Add funds to a deal (quantity in base or volume in quote, optional limit price)
+exports.addDealFunds = async (req, res) => {
+  const { quantity, volume, price } = req.body || {};
+
+  if ((quantity === undefined) === (volume === undefined)) {
+    return res
+      .status(400)
+      .json({ message: "Send either quantity (base) or volume (quote)" });
+  }
+  const amount = Number(quantity ?? volume);
+  if (!(amount > 0)) {
+    return res.status(400).json({
+      message: `${
+        quantity !== undefined ? "quantity" : "volume"
+      } must be greater than 0`,
+    });
+  }
+  if (price !== undefined && !(Number(price) > 0)) {
+    return res.status(400).json({ message: "price must be greater than 0" });
+  }
+
+  try {
+    const target = await loadOwnedDeal(req, res);
+    if (!target || rejectFinished(res, target.deal)) return;
+    const { deal } = target;
+
+    const rate = price !== undefined ? Number(price) : undefined;
+    let baseQuantity = amount;
+    if (quantity === undefined) {
+      const conversionPrice = rate || currentPrice(res, deal);
+      if (!conversionPrice) return;
+      baseQuantity = amount / conversionPrice;
+    }
+
+    const data = await runDealAction(req, res, target, {
+      audit: "deal.add_funds",
+      label: "add funds to",
+      method: "POST",
+      path: `/ver1/deals/${deal.id}/add_funds`,
+      body: addFundsBody(deal, baseQuantity, rate),
+    });
+    if (!data) return;
+
+    res.status(200).json({ message: "Funds added to deal", order: data });
+  } catch (error) {
+    console.error("❌ Add deal funds error:", error.message);
+    res
+      .status(500)
+      .json({ message: "Internal server error", error: error.message });
+  }
+};
+
+// ✅ Manual safety order: buy the deal's next safety order now, at market
+exports.addSafetyOrder = async (req, res) => {
+  try {
+    const target = await loadOwnedDeal(req, res);
+    if (!target || rejectFinished(res, target.deal)) return;
+    const { bot, deal } = target;
+
+    // Safety order volumes are quote amounts bought on long deals
+    if (bot.strategy !== "long") {
+      return res.status(400).json({
+        message:
+          "Manual safety orders are only supported on long bots; use add-funds instead",
+      });
+    }
+
+    const completed = deal.completed_safety_orders_count || 0;
+    const next = safetyOrderSteps(bot)[completed];
+    if (!next) {
+      return res.status(400).json({
+        message: `All ${bot.maxSafetyOrders} safety orders are filled; use add-funds instead`,
+      });
+    }
+
+    const price = currentPrice(res, deal);
+    if (!price) return;
+    const data = await runDealAction(req, res, target, {
+      audit: "deal.add_funds",
+      label: "place a safety order for",
+      method: "POST",
+      path: `/ver1/deals/${deal.id}/add_funds`,
+      body: addFundsBody(deal, next.volume / price),
+    });
+    if (!data) return;
+
+    res.status(200).json({
+      message: `Safety order ${next.index} placed`,
+      safetyOrder: { index: next.index, volume: round(next.volume), price },
+      order: data,
+    });
+  } catch (error) {
+    console.error("❌ Manual safety order error:", error.message);
+    res
+      .status(500)
+      .json({ message: "Internal server error", error: error.message });
+  }
+};
+
+// Deal fields the client may change, with their 3Commas names and limits
+const DEAL_UPDATE_FIELDS = {
+  takeProfit: {
+    threeCommas: "take_profit",
+    min: 0,
+    max: 100,
+    exclusiveMin: true,
+  },
+  stopLossPercentage: { threeCommas: "stop_loss_percentage", min: 0, max: 100 },
+};
+
+// ✅ Update a deal's take profit and stop loss
+exports.updateDeal = async (req, res) => {
+  const body = req.body || {};
+  const changes = {};
+  const errors = {};
+
+  for (const [field, value] of Object.entries(body)) {
+    if (!Object.hasOwn(DEAL_UPDATE_FIELDS, field)) {
+      errors[field] = "is not an updatable deal field";
+      continue;
+    }
+    const spec = DEAL_UPDATE_FIELDS[field];
+    const number = Number(value);
+    if (
+      value === null ||
+      value === "" ||
+      !Number.isFinite(number) ||
+      (spec.exclusiveMin ? number <= spec.min : number < spec.min) ||
+      number > spec.max
+    ) {
+      errors[field] = spec.exclusiveMin
+        ? `must be greater than ${spec.min} and at most ${spec.max}`
+        : `must be between ${spec.min} and ${spec.max}`;
+      continue;
+    }
+    changes[spec.threeCommas] = number;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ message: "Invalid deal update", errors });
+  }
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({
+      message: `Nothing to change: send ${Object.keys(DEAL_UPDATE_FIELDS).join(
+        " and/or "
+      )}`,
+    });
+  }
+
+  try {
+    const target = await loadOwnedDeal(req, res);
+    if (!target || rejectFinished(res, target.deal)) return;
+
+    const data = await runDealAction(req, res, target, {
+      audit: "deal.update",
+      label: "update",
+      method: "PATCH",
+      path: `/ver1/deals/${target.deal.id}/update_deal`,
+      body: { deal_id: target.deal.id, ...changes },
+    });
+    if (!data) return;
+
+    res.status(200).json({ message: "Deal updated successfully", deal: data });
+  } catch (error) {
+    console.error("❌ Update deal error:", error.message);
+    res
+      .status(500)
+      .json({ message: "Internal server error", error: error.message });
+  }
+};
@@ -1,33 +1,31 @@
+const mongoose = require("mongoose");
 const Bot = require("../models/bot");
-const User = require("../models/User");
-const axios = require("axios");
-const crypto = require("crypto");
-const config = require("../config");
-
-const THREE_COMMAS_API_KEY = config.threeCommas.apiKey;
-const THREE_COMMAS_API_SECRET = config.threeCommas.apiSecret;
-const BASE_URL = config.threeCommas.baseUrl;
-const API_PREFIX = config.threeCommas.apiPrefix;
-
-function buildStringToSign(path, queryString, bodyString) {
-  const qsPart = queryString ? `?${queryString}` : "";
-  const bodyPart = bodyString || "";
-  return `${API_PREFIX}${path}${qsPart}${bodyPart}`;
-}
-
-function createSignatureFromParts(path, queryString, bodyString) {
-  const stringToSign = buildStringToSign(path, queryString, bodyString);
-  return crypto
-    .createHmac("sha256", THREE_COMMAS_API_SECRET)
-    .update(stringToSign)
-    .digest("hex");
-}
+const ExchangeConnection = require("../models/ExchangeConnection");
+const threeCommas = require("../utils/threeCommas");
+const { sendThreeCommasError } = require("../middleware/errorHandler");
+const { ThreeCommasError, BinanceError } = require("../utils/errors");
+const { reconcileBots } = require("../workers/reconcileBots");
+const { recordAudit, configSnapshot } = require("../utils/audit");
+const {
+  checkBotFunding,
+  balanceCheckSkipped,
+} = require("../utils/fundingCheck");
+
+const MAX_BULK_BOTS = 100;
+const BULK_CONCURRENCY = 5;
+
+// Bot fields a bulk filter may match on; null means any string
+const BULK_FILTERS = {
+  status: ["running", "paused", "stopped", "error"],
+  pair: null,
+  strategy: ["long", "short"],
+};
 
-// Utility: Validate bot ownership
-const validateOwnership = async (botId, userId) => {
-  const bot = await Bot.findById(botId).populate("user");
+// Utility: Validate bot ownership against the authenticated user
+const validateOwnership = async (botId, user) => {
+  const bot = await Bot.findById(botId);
   if (!bot) throw new Error("Bot not found");
-  if (!bot.user || bot.user.userId !== userId)
+  if (!user || bot.user.toString() !== user._id.toString())
     throw new Error("Unauthorized access");
   return bot;
 };
@@ -36,12 +34,13 @@ const validateOwnership = async (botId, userId) => {
 exports.getBotsByUserId = async (req, res) => {
   const { userId } = req.params;
 
-  if (!userId) {
-    return res.status(400).json({ message: "User ID is required" });
+  // Legacy /user/:userId only serves the caller's own bots
+  if (userId && userId !== req.auth.userId) {
+    return res.status(403).json({ message: "Unauthorized access" });
   }
 
   try {
-    const user = await User.findOne({ userId });
+    const user = req.user;
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
@@ -62,54 +61,160 @@ exports.getBotsByUserId = async (req, res) => {
   }
 };
 
-// ✅ Pause bot (only if running)
-exports.pauseBot = async (req, res) => {
-  const { botId } = req.params;
-  const { userId } = req.body;
+// Status changes shared by the single-bot and bulk endpoints
+const STATE_CHANGES = {
+  pause: {
+    audit: "bot.pause",
+    label: "pause",
+    blockedReason: (bot) =>
+      bot.status !== "running" ? "Bot is not currently running" : null,
+    path: (bot) => `/ver1/bots/${bot.threeCommasBotId}/pause`,
+    status: "paused",
+  },
+  start: {
+    audit: "bot.start",
+    label: "start",
+    blockedReason: (bot) =>
+      bot.status !== "paused" && bot.status !== "stopped"
+        ? "Bot must be paused or stopped to start"
+        : null,
+    path: (bot) => `/ver1/bots/${bot.threeCommasBotId}/start_new_deal`,
+    status: "running",
+    fundingCheck: true,
+  },
+  emergencyStop: {
+    audit: "bot.emergency_stop",
+    label: "emergency stop",
+    blockedReason: () => null,
+    path: (bot) => `/ver1/bots/${bot.threeCommasBotId}/panic_sell`,
+    status: "stopped",
+  },
+};
 
-  try {
-    const bot = await validateOwnership(botId, userId);
+/**
+ * Apply a status change in 3Commas, then locally.
+ * @returns {Promise<{outcome: "success"|"skipped"|"failed", message?: string, error?: Error}>}
+ */
+async function changeBotState(req, bot, change) {
+  const { audit, label, blockedReason, path, status, fundingCheck } =
+    STATE_CHANGES[change];
 
-    if (bot.status !== "running") {
-      return res.status(400).json({ message: "Bot is not currently running" });
-    }
+  const reason = blockedReason(bot);
+  if (reason) return { outcome: "skipped", message: reason };
 
-    if (!bot.threeCommasBotId) {
-      return res.status(400).json({ message: "Bot not linked to 3Commas" });
+  if (!bot.threeCommasBotId) {
+    return { outcome: "skipped", message: "Bot not linked to 3Commas" };
+  }
+
+  // 💰 Pre-flight: can the Binance account fund the bot next to the others?
+  if (fundingCheck && !balanceCheckSkipped(req)) {
+    let funding;
+    try {
+      funding = await checkBotFunding(req.user, bot, { excludeBotId: bot._id });
+    } catch (error) {
+      console.error("❌ Balance check failed:", error.message);
+      return {
+        outcome: "failed",
+        message: "Failed to check Binance balance",
+        error,
+      };
+    }
+    if (!funding.ok) {
+      return { outcome: "skipped", message: funding.message, funding };
     }
+  }
+
+  const request = { method: "POST", path: path(bot) };
 
-    // Pause bot in 3Commas
-    const path = `/ver1/bots/${bot.threeCommasBotId}/pause`;
-    const signature = createSignatureFromParts(path, "", "");
+  try {
+    await threeCommas.post(request.path, {});
+
+    console.log(`✅ Bot ${label} in 3Commas successful:`, bot._id.toString());
+  } catch (error) {
+    console.error(`❌ Failed to ${label} bot in 3Commas:`, error.message);
+    await recordAudit(req, {
+      action: audit,
+      bot,
+      before: { status: bot.status },
+      request,
+      error,
+    });
+    return { outcome: "failed", error };
+  }
+
+  const previousStatus = bot.status;
+  bot.status = status;
+  await bot.save();
+
+  await recordAudit(req, {
+    action: audit,
+    bot,
+    before: { status: previousStatus },
+    after: { status: bot.status },
+    request,
+  });
+
+  return { outcome: "success" };
+}
+
+// Delete from 3Commas and locally; a 3Commas failure does not block local deletion
+async function removeBot(req, bot) {
+  let request;
+  let threeCommasError;
+
+  if (bot.threeCommasBotId) {
+    // Delete bot from 3Commas
+    const path = `/ver1/bots/${bot.threeCommasBotId}`;
+    request = { method: "DELETE", path };
 
     try {
-      await axios.post(
-        `${BASE_URL}${path}`,
-        {},
-        {
-          headers: {
-            Apikey: THREE_COMMAS_API_KEY,
-            Signature: signature,
-            "Content-Type": "application/json",
-          },
-          timeout: 15000,
-        }
-      );
+      await threeCommas.delete(path);
 
-      console.log("✅ Bot paused in 3Commas successfully");
+      console.log("✅ Bot deleted from 3Commas successfully");
     } catch (error) {
-      console.error(
-        "❌ Failed to pause bot in 3Commas:",
-        error?.response?.data || error.message
-      );
-      return res.status(400).json({
-        message: "Failed to pause bot in 3Commas",
-        error: error?.response?.data || error.message,
-      });
+      console.error("❌ Failed to delete bot from 3Commas:", error.message);
+      // Continue with local deletion even if 3Commas fails
+      threeCommasError = error;
     }
+  }
+
+  await Bot.findByIdAndDelete(bot._id);
+
+  // The final config is kept so the bot can be reconstructed after deletion
+  await recordAudit(req, {
+    action: "bot.delete",
+    bot,
+    before: configSnapshot(bot),
+    request,
+    error: threeCommasError,
+  });
+
+  return threeCommasError
+    ? {
+        outcome: "success",
+        message: "Deleted locally, but 3Commas deletion failed",
+        error: threeCommasError,
+      }
+    : { outcome: "success" };
+}
+
+// ✅ Pause bot (only if running)
+exports.pauseBot = async (req, res) => {
+  const { botId } = req.params;
+  try {
+    const bot = await validateOwnership(botId, req.user);
 
-    bot.status = "paused";
-    await bot.save();
+    const result = await changeBotState(req, bot, "pause");
+    if (result.outcome === "skipped") {
+      return res.status(400).json({ message: result.message });
+    }
+    if (result.outcome === "failed") {
+      return sendThreeCommasError(
+        res,
+        result.error,
+        "Failed to pause bot in 3Commas"
+      );
+    }
 
     res
       .status(200)
@@ -123,53 +228,26 @@ exports.pauseBot = async (req, res) => {
 // ✅ Start bot (only if stopped or paused)
 exports.startBot = async (req, res) => {
   const { botId } = req.params;
-  const { userId } = req.body;
-
   try {
-    const bot = await validateOwnership(botId, userId);
+    const bot = await validateOwnership(botId, req.user);
 
-    if (bot.status !== "paused" && bot.status !== "stopped") {
-      return res
-        .status(400)
-        .json({ message: "Bot must be paused or stopped to start" });
-    }
-
-    if (!bot.threeCommasBotId) {
-      return res.status(400).json({ message: "Bot not linked to 3Commas" });
-    }
-
-    // Start bot in 3Commas
-    const path = `/ver1/bots/${bot.threeCommasBotId}/start_new_deal`;
-    const signature = createSignatureFromParts(path, "", "");
-
-    try {
-      await axios.post(
-        `${BASE_URL}${path}`,
-        {},
-        {
-          headers: {
-            Apikey: THREE_COMMAS_API_KEY,
-            Signature: signature,
-            "Content-Type": "application/json",
-          },
-          timeout: 15000,
-        }
-      );
-
-      console.log("✅ Bot started in 3Commas successfully");
-    } catch (error) {
-      console.error(
-        "❌ Failed to start bot in 3Commas:",
-        error?.response?.data || error.message
-      );
+    const result = await changeBotState(req, bot, "start");
+    if (result.outcome === "skipped") {
       return res.status(400).json({
-        message: "Failed to start bot in 3Commas",
-        error: error?.response?.data || error.message,
+        message: result.message,
+        ...(result.funding && {
+          funding: result.funding,
+          hint: "Pass skipBalanceCheck: true to start anyway",
+        }),
       });
     }
-
-    bot.status = "running";
-    await bot.save();
+    if (result.outcome === "failed") {
+      return sendThreeCommasError(
+        res,
+        result.error,
+        result.message || "Failed to start bot in 3Commas"
+      );
+    }
 
     res
       .status(200)
@@ -183,37 +261,10 @@ exports.startBot = async (req, res) => {
 // ✅ Delete bot (only if owned)
 exports.deleteBot = async (req, res) => {
   const { botId } = req.params;
-  const { userId } = req.body;
-
   try {
-    const bot = await validateOwnership(botId, userId);
-
-    if (bot.threeCommasBotId) {
-      // Delete bot from 3Commas
-      const path = `/ver1/bots/${bot.threeCommasBotId}`;
-      const signature = createSignatureFromParts(path, "", "");
-
-      try {
-        await axios.delete(`${BASE_URL}${path}`, {
-          headers: {
-            Apikey: THREE_COMMAS_API_KEY,
-            Signature: signature,
-            "Content-Type": "application/json",
-          },
-          timeout: 15000,
-        });
-
-        console.log("✅ Bot deleted from 3Commas successfully");
-      } catch (error) {
-        console.error(
-          "❌ Failed to delete bot from 3Commas:",
-          error?.response?.data || error.message
-        );
-        // Continue with local deletion even if 3Commas fails
-      }
-    }
+    const bot = await validateOwnership(botId, req.user);
 
-    await Bot.findByIdAndDelete(botId);
+    await removeBot(req, bot);
 
     res.status(200).json({ message: "Bot deleted successfully", botId });
   } catch (error) {
@@ -225,49 +276,21 @@ exports.deleteBot = async (req, res) => {
 // ✅ Emergency Stop Bot (immediate stop all deals)
 exports.emergencyStopBot = async (req, res) => {
   const { botId } = req.params;
-  const { userId } = req.body;
-
   try {
-    const bot = await validateOwnership(botId, userId);
+    const bot = await validateOwnership(botId, req.user);
 
-    if (!bot.threeCommasBotId) {
-      return res.status(400).json({ message: "Bot not linked to 3Commas" });
+    const result = await changeBotState(req, bot, "emergencyStop");
+    if (result.outcome === "skipped") {
+      return res.status(400).json({ message: result.message });
     }
-
-    // Emergency stop bot in 3Commas
-    const path = `/ver1/bots/${bot.threeCommasBotId}/panic_sell`;
-    const signature = createSignatureFromParts(path, "", "");
-
-    try {
-      await axios.post(
-        `${BASE_URL}${path}`,
-        {},
-        {
-          headers: {
-            Apikey: THREE_COMMAS_API_KEY,
-            Signature: signature,
-            "Content-Type": "application/json",
-          },
-          timeout: 15000,
-        }
-      );
-
-      console.log("✅ Bot emergency stopped in 3Commas successfully");
-    } catch (error) {
-      console.error(
-        "❌ Failed to emergency stop bot in 3Commas:",
-        error?.response?.data || error.message
+    if (result.outcome === "failed") {
+      return sendThreeCommasError(
+        res,
+        result.error,
+        "Failed to emergency stop bot in 3Commas"
       );
-      return res.status(400).json({
-        message: "Failed to emergency stop bot in 3Commas",
-        error: error?.response?.data || error.message,
-      });
     }
 
-    // Update bot status
-    bot.status = "stopped";
-    await bot.save();
-
     res.status(200).json({
       message: "Bot emergency stopped successfully",
       botId: bot._id,
@@ -279,17 +302,154 @@ exports.emergencyStopBot = async (req, res) => {
   }
 };
 
-// ✅ Get Bot Details with 3Commas Data
-exports.getBotDetails = async (req, res) => {
-  const { botId } = req.params;
-  const { userId } = req.query;
+// Resolve the bots a bulk request targets: explicit ids or a filter, never both
+async function findBulkTargets(user, { botIds, filter }) {
+  if ((botIds === undefined) === (filter === undefined)) {
+    return { error: "Provide either botIds or filter" };
+  }
+
+  if (botIds !== undefined) {
+    if (
+      !Array.isArray(botIds) ||
+      botIds.length === 0 ||
+      botIds.length > MAX_BULK_BOTS
+    ) {
+      return {
+        error: `botIds must be a list of 1 to ${MAX_BULK_BOTS} bot ids`,
+      };
+    }
+
+    const ids = [...new Set(botIds.map(String))];
+    const validIds = ids.filter((id) => mongoose.Types.ObjectId.isValid(id));
+    const bots = await Bot.find({ _id: { $in: validIds }, user: user._id });
+    const found = new Set(bots.map((bot) => bot._id.toString()));
 
-  if (!userId) {
-    return res.status(400).json({ message: "User ID is required" });
+    return {
+      bots,
+      missing: ids.filter((id) => !found.has(id)),
+    };
+  }
+
+  if (!filter || typeof filter !== "object" || Array.isArray(filter)) {
+    return { error: "filter must be an object" };
+  }
+
+  const query = { user: user._id };
+  for (const [field, options] of Object.entries(BULK_FILTERS)) {
+    const value = filter[field];
+    if (value === undefined) continue;
+    if (options && !options.includes(value)) {
+      return { error: `filter.${field} must be one of: ${options.join(", ")}` };
+    }
+    if (!options && typeof value !== "string") {
+      return { error: `filter.${field} must be a string` };
+    }
+    if (field === "pair") {
+      // Multi bots list every pair they trade in pairs
+      query.$or = [{ pair: value }, { pairs: value }];
+    } else {
+      query[field] = value;
+    }
   }
 
+  const bots = await Bot.find(query).sort({ createdAt: -1 });
+  if (bots.length > MAX_BULK_BOTS) {
+    return {
+      error: `Filter matches ${bots.length} bots; narrow it to at most ${MAX_BULK_BOTS}`,
+    };
+  }
+
+  return { bots, missing: [] };
+}
+
+// Handler factory for the bulk endpoints: one result entry per bot
+const bulkAction = (action) => async (req, res) => {
   try {
-    const user = await User.findOne({ userId });
+    const user = req.user;
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const { bots, missing, error } = await findBulkTargets(
+      user,
+      req.body || {}
+    );
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const results = missing.map((botId) => ({
+      botId,
+      outcome: "failed",
+      message: "Bot not found or access denied",
+    }));
+
+    // Starts run one at a time so each balance check sees the bots started before it
+    const concurrency = action === "start" ? 1 : BULK_CONCURRENCY;
+
+    for (let i = 0; i < bots.length; i += concurrency) {
+      const batch = bots.slice(i, i + concurrency);
+      const batchResults = await Promise.all(
+        batch.map(async (bot) => {
+          let result;
+          try {
+            result =
+              action === "delete"
+                ? await removeBot(req, bot)
+                : await changeBotState(req, bot, action);
+          } catch (error) {
+            result = { outcome: "failed", error };
+          }
+
+          return {
+            botId: bot._id,
+            name: bot.name,
+            outcome: result.outcome,
+            message: result.message,
+            status: action === "delete" ? undefined : bot.status,
+            funding: result.funding,
+            error:
+              result.error instanceof ThreeCommasError ||
+              result.error instanceof BinanceError
+                ? result.error.toJSON()
+                : result.error?.message,
+          };
+        })
+      );
+      results.push(...batchResults);
+    }
+
+    const count = (outcome) =>
+      results.filter((result) => result.outcome === outcome).length;
+
+    res.status(200).json({
+      message: `Bulk ${STATE_CHANGES[action]?.label || action} finished`,
+      total: results.length,
+      succeeded: count("success"),
+      skipped: count("skipped"),
+      failed: count("failed"),
+      results,
+    });
+  } catch (error) {
+    console.error(`❌ Bulk ${action} error:`, error);
+    res.status(500).json({
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// ✅ Bulk pause / start / delete / emergency stop
+exports.bulkPauseBots = bulkAction("pause");
+exports.bulkStartBots = bulkAction("start");
+exports.bulkDeleteBots = bulkAction("delete");
+exports.bulkEmergencyStopBots = bulkAction("emergencyStop");
+
+// ✅ Get Bot Details with 3Commas Data
+exports.getBotDetails = async (req, res) => {
+  const { botId } = req.params;
+  try {
+    const user = req.user;
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
@@ -306,16 +466,8 @@ exports.getBotDetails = async (req, res) => {
     if (bot.threeCommasBotId) {
       try {
         const path = `/ver1/bots/${bot.threeCommasBotId}`;
-        const signature = createSignatureFromParts(path, "", "");
 
-        const response = await axios.get(`${BASE_URL}${path}`, {
-          headers: {
-            Apikey: THREE_COMMAS_API_KEY,
-            Signature: signature,
-            "Content-Type": "application/json",
-          },
-          timeout: 15000,
-        });
+        const response = await threeCommas.get(path);
 
         threeCommasData = response.data;
       } catch (error) {
@@ -327,6 +479,7 @@ exports.getBotDetails = async (req, res) => {
     res.status(200).json({
       message: "Bot details fetched successfully",
       bot: bot,
+      stopLoss: bot.stopLossSettings(),
       threeCommasData: threeCommasData,
       hasThreeCommasData: !!threeCommasData,
     });
@@ -341,14 +494,8 @@ exports.getBotDetails = async (req, res) => {
 
 // ✅ Get Bot Summary for Dashboard
 exports.getBotSummary = async (req, res) => {
-  const { userId } = req.query;
-
-  if (!userId) {
-    return res.status(400).json({ message: "User ID is required" });
-  }
-
   try {
-    const user = await User.findOne({ userId });
+    const user = req.user;
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
@@ -405,3 +552,37 @@ exports.getBotSummary = async (req, res) => {
     });
   }
 };
+
+// ✅ Reconcile local bot state with 3Commas
+exports.reconcileBots = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const accountIds = await ExchangeConnection.accountIdsForUser(user);
+    if (accountIds.length === 0) {
+      return res.status(400).json({
+        message:
+          "No 3Commas account found. Please connect your Binance account first.",
+      });
+    }
+
+    const report = await reconcileBots({ user });
+
+    res.status(200).json({
+      message: "Bots reconciled successfully",
+      ...report,
+    });
+  } catch (error) {
+    if (error instanceof ThreeCommasError) {
+      return sendThreeCommasError(res, error, "Failed to reconcile bots");
+    }
+    console.error("❌ Reconcile error:", error);
+    res.status(500).json({
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
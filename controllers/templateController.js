@@ -0,0 +1,208 @@
+const mongoose = require("mongoose");
+const BotTemplate = require("../models/BotTemplate");
+const { validateBotParams } = require("../utils/botConfig");
+
+const { TEMPLATE_FIELDS } = BotTemplate;
+
+// Pull template fields out of a request body
+function pickTemplateFields(body) {
+  const fields = {};
+  for (const field of [
+    ...TEMPLATE_FIELDS,
+    "name",
+    "description",
+    "overridableFields",
+  ]) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+}
+
+// Returns an error message for an invalid template, or null
+function validateTemplate(template) {
+  if (
+    !template.name ||
+    typeof template.name !== "string" ||
+    template.name.length > 100
+  ) {
+    return "Template name is required (max 100 characters)";
+  }
+
+  const { overridableFields = [] } = template;
+  if (
+    !Array.isArray(overridableFields) ||
+    !overridableFields.every((field) => TEMPLATE_FIELDS.includes(field))
+  ) {
+    return `overridableFields may only contain: ${TEMPLATE_FIELDS.join(", ")}`;
+  }
+
+  return validateBotParams(template, { template: true });
+}
+
+// Malformed ids are simply not found (no CastError)
+const findOwnTemplate = (req) =>
+  req.user && mongoose.isValidObjectId(req.params.templateId)
+    ? BotTemplate.findOne({ _id: req.params.templateId, user: req.user._id })
+    : null;
+
+// ✅ Create Bot Template
+exports.createTemplate = async (req, res) => {
+  const fields = pickTemplateFields(req.body || {});
+
+  const validationError = validateTemplate(fields);
+  if (validationError) {
+    return res.status(400).json({ success: false, message: validationError });
+  }
+
+  try {
+    const user = req.user;
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found. Please connect your Binance account first.",
+      });
+    }
+
+    const existing = await BotTemplate.exists({
+      user: user._id,
+      name: fields.name,
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: "A template with this name already exists",
+      });
+    }
+
+    const template = await BotTemplate.create({ ...fields, user: user._id });
+
+    res.status(201).json({
+      success: true,
+      message: "Template created successfully",
+      template,
+    });
+  } catch (error) {
+    console.error("❌ Create template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create template",
+      error: error.message,
+    });
+  }
+};
+
+// ✅ List Bot Templates
+exports.listTemplates = async (req, res) => {
+  try {
+    const templates = req.user
+      ? await BotTemplate.find({ user: req.user._id }).sort({ name: 1 })
+      : [];
+
+    res.json({ success: true, total: templates.length, templates });
+  } catch (error) {
+    console.error("❌ List templates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch templates",
+      error: error.message,
+    });
+  }
+};
+
+// ✅ Get Bot Template
+exports.getTemplate = async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req);
+    if (!template) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Template not found" });
+    }
+
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error("❌ Get template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch template",
+      error: error.message,
+    });
+  }
+};
+
+// ✅ Update Bot Template
+exports.updateTemplate = async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req);
+    if (!template) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Template not found" });
+    }
+
+    const fields = pickTemplateFields(req.body || {});
+    const validationError = validateTemplate({
+      ...template.toObject(),
+      ...fields,
+    });
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    if (fields.name && fields.name !== template.name) {
+      const existing = await BotTemplate.exists({
+        user: template.user,
+        name: fields.name,
+      });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: "A template with this name already exists",
+        });
+      }
+    }
+
+    template.set(fields);
+    await template.save();
+
+    res.json({
+      success: true,
+      message: "Template updated successfully",
+      template,
+    });
+  } catch (error) {
+    console.error("❌ Update template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update template",
+      error: error.message,
+    });
+  }
+};
+
+// ✅ Delete Bot Template (bots created from it are not affected)
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req);
+    if (!template) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Template not found" });
+    }
+
+    await template.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Template deleted successfully",
+      templateId: template._id,
+    });
+  } catch (error) {
+    console.error("❌ Delete template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete template",
+      error: error.message,
+    });
+  }
+};
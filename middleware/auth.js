@@ -0,0 +1,141 @@
+const jwt = require("jsonwebtoken");
+const jwksRsa = require("jwks-rsa");
+const config = require("../config");
+const User = require("../models/User");
+const ApiKey = require("../models/ApiKey");
+
+const jwksClient = config.auth.jwksUri
+  ? jwksRsa({
+      jwksUri: config.auth.jwksUri,
+      cache: true,
+      rateLimit: true,
+    })
+  : null;
+
+function getSigningKey(header, callback) {
+  jwksClient.getSigningKey(header.kid, (error, key) =>
+    callback(error, key?.getPublicKey())
+  );
+}
+
+function verifyToken(token) {
+  return new Promise((resolve, reject) => {
+    jwt.verify(
+      token,
+      jwksClient ? getSigningKey : config.auth.jwtSecret,
+      {
+        algorithms: jwksClient ? ["RS256", "ES256"] : ["HS256"],
+        issuer: config.auth.issuer || undefined,
+        audience: config.auth.audience || undefined,
+      },
+      (error, payload) => (error ? reject(error) : resolve(payload))
+    );
+  });
+}
+
+// Resolve a personal API key (see models/ApiKey.js) to its owner
+async function authenticateApiKey(key, req, res, next) {
+  const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(key) });
+  if (!apiKey || !apiKey.isActive()) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid, expired or revoked API key",
+    });
+  }
+
+  const user = await User.findById(apiKey.user);
+  if (!user) {
+    return res
+      .status(401)
+      .json({ success: false, message: "API key owner not found" });
+  }
+
+  apiKey.lastUsedAt = new Date();
+  apiKey.lastUsedIp = req.ip;
+  await apiKey.save();
+
+  req.auth = {
+    userId: user.userId,
+    method: "apiKey",
+    apiKeyId: apiKey._id,
+    scopes: apiKey.scopes,
+  };
+  req.user = user;
+  next();
+}
+
+// Verify the bearer token (or personal API key) and resolve the caller. Sets
+// req.auth.userId (the Memberstack id) and req.user (their User document, or
+// null if a token user has not connected an exchange yet).
+exports.authenticate = async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  const apiKeyHeader = req.headers["x-api-key"];
+
+  if (ApiKey.isApiKey(apiKeyHeader)) {
+    return authenticateApiKey(apiKeyHeader, req, res, next);
+  }
+  if (scheme === "Bearer" && ApiKey.isApiKey(token)) {
+    return authenticateApiKey(token, req, res, next);
+  }
+
+  if (scheme !== "Bearer" || !token) {
+    return res
+      .status(401)
+      .json({ success: false, message: "Authentication required" });
+  }
+
+  let payload;
+  try {
+    payload = await verifyToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid or expired token",
+      error: error.message,
+    });
+  }
+
+  const userId = payload[config.auth.userIdClaim];
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      message: `Token is missing the ${config.auth.userIdClaim} claim`,
+    });
+  }
+
+  // Signed-in sessions can do everything the user can
+  req.auth = {
+    userId: String(userId),
+    method: "token",
+    scopes: ApiKey.SCOPES,
+    claims: payload,
+  };
+  req.user = await User.findOne({ userId: req.auth.userId });
+  next();
+};
+
+// Reject API keys that were not granted `scope` (read < trade < admin)
+exports.requireScope = (scope) => (req, res, next) => {
+  const required = ApiKey.SCOPES.indexOf(scope);
+  const granted = (req.auth?.scopes || []).some(
+    (s) => ApiKey.SCOPES.indexOf(s) >= required
+  );
+  if (!granted) {
+    return res.status(403).json({
+      success: false,
+      message: `This API key does not have the '${scope}' scope`,
+    });
+  }
+  next();
+};
+
+// Only allow signed-in sessions, not API keys (e.g. for managing keys)
+exports.requireSession = (req, res, next) => {
+  if (req.auth?.method !== "token") {
+    return res.status(403).json({
+      success: false,
+      message: "This action requires a signed-in session",
+    });
+  }
+  next();
+};
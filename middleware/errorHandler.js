@@ -1,3 +1,30 @@
+const config = require("../config");
+const {
+  ThreeCommasError,
+  ThreeCommasRateLimitError,
+  BinanceError,
+} = require("../utils/errors");
+
+// Respond to a failed 3Commas/Binance call using the status mapped by its typed error
+function sendUpstreamError(res, error, message, extra = {}) {
+  if (error instanceof ThreeCommasRateLimitError && error.retryAfter) {
+    res.set("Retry-After", String(Math.ceil(error.retryAfter)));
+  }
+
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    message,
+    error:
+      error instanceof ThreeCommasError || error instanceof BinanceError
+        ? error.toJSON()
+        : error.message,
+    ...extra,
+  });
+}
+
+exports.sendThreeCommasError = sendUpstreamError;
+exports.sendBinanceError = sendUpstreamError;
+
 exports.errorHandler = (err, req, res, next) => {
   console.error("Error details:", err);
 
@@ -5,15 +32,22 @@ exports.errorHandler = (err, req, res, next) => {
     return res.status(400).json({ error: err });
   }
 
-  if (err?.response?.data) {
-    // Axios error with response data from 3Commas API
-    return res
-      .status(err.response.status || 500)
-      .json({ error: err.response.data });
+  if (err instanceof ThreeCommasError) {
+    return sendUpstreamError(res, err, "3Commas request failed");
+  }
+
+  if (err instanceof BinanceError) {
+    return sendUpstreamError(res, err, "Binance request failed");
   }
 
   if (err?.message) {
-    return res.status(500).json({ error: err.message });
+    return res.status(err.statusCode || 500).json({
+      error: "Internal server error",
+      message:
+        config.server.environment === "development"
+          ? err.message
+          : "Something went wrong",
+    });
   }
 
   res.status(500).json({ error: "Internal Server Error" });
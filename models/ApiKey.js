@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const KEY_PREFIX = "dbk_";
+
+// Scopes are cumulative: admin includes trade, trade includes read
+const SCOPES = ["read", "trade", "admin"];
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    // First characters of the key, shown in listings so users can tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: SCOPES }],
+      default: ["read"],
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+// Keys are random, so a plain SHA-256 is enough to store them safely
+apiKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+};
+
+// Create a new key; the plaintext is only returned here and never stored
+apiKeySchema.statics.generate = async function ({
+  user,
+  name,
+  scopes,
+  expiresAt,
+}) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+  const apiKey = await this.create({
+    user,
+    name,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    keyHash: this.hashKey(key),
+    scopes,
+    expiresAt: expiresAt || null,
+  });
+  return { apiKey, key };
+};
+
+apiKeySchema.statics.isApiKey = function (value) {
+  return typeof value === "string" && value.startsWith(KEY_PREFIX);
+};
+
+apiKeySchema.methods.isActive = function () {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+};
+
+// Never expose the hash in API responses
+apiKeySchema.set("toJSON", {
+  transform: (_doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  },
+});
+
+apiKeySchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
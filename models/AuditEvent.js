@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+
+const ACTIONS = [
+  "bot.create",
+  "bot.update",
+  "bot.rollback",
+  "bot.duplicate",
+  "bot.pause",
+  "bot.start",
+  "bot.delete",
+  "bot.emergency_stop",
+  "deal.close",
+  "deal.cancel",
+  "deal.add_funds",
+  "deal.update",
+  "account.connect",
+  "account.disconnect",
+];
+
+const auditEventSchema = new mongoose.Schema(
+  {
+    // Who did it
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    actor: {
+      userId: String, // Memberstack id
+      method: String, // "token" or "apiKey"
+      apiKeyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ApiKey",
+        default: null,
+      },
+    },
+    action: {
+      type: String,
+      enum: ACTIONS,
+      required: true,
+    },
+    // What it was done to. The bot id is kept even after the bot is deleted.
+    target: {
+      bot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Bot",
+        default: null,
+      },
+      botName: String,
+      threeCommasBotId: Number,
+      threeCommasAccountId: Number,
+      threeCommasDealId: Number,
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // 3Commas request and its outcome
+    outcome: {
+      success: Boolean,
+      request: {
+        method: String,
+        path: String,
+        body: mongoose.Schema.Types.Mixed,
+      },
+      response: mongoose.Schema.Types.Mixed,
+      error: mongoose.Schema.Types.Mixed,
+      status: Number,
+    },
+    ip: String,
+    userAgent: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditEventSchema.index({ user: 1, createdAt: -1 });
+auditEventSchema.index({ "target.bot": 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+
+auditEventSchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model("AuditEvent", auditEventSchema);
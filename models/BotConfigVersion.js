@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// Configuration a bot had before an update or rollback replaced it
+const botConfigVersionSchema = new mongoose.Schema(
+  {
+    bot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bot",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Bot.configVersion this configuration was live as
+    version: {
+      type: Number,
+      required: true,
+    },
+    config: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // What replaced it
+    replacedBy: {
+      type: String,
+      enum: ["update", "rollback"],
+      required: true,
+    },
+    // For rollbacks, the version that was restored
+    restoredVersion: {
+      type: Number,
+      default: null,
+    },
+    changedFields: {
+      type: [String],
+      default: [],
+    },
+    actor: {
+      userId: String,
+      method: String,
+      apiKeyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ApiKey",
+        default: null,
+      },
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+botConfigVersionSchema.index({ bot: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model("BotConfigVersion", botConfigVersionSchema);
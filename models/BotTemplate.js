@@ -0,0 +1,155 @@
+const mongoose = require("mongoose");
+
+// Parameters a template can hold; the same fields createBot accepts
+const TEMPLATE_FIELDS = [
+  "direction",
+  "botType",
+  "pair",
+  "pairs",
+  "maxActiveDeals",
+  "profitCurrency",
+  "baseOrderSize",
+  "startOrderType",
+  "takeProfitType",
+  "targetProfitPercent",
+  "takeProfitSteps",
+  "trailingEnabled",
+  "trailingDeviation",
+  "safetyOrderVolume",
+  "maxSafetyOrders",
+  "safetyOrderStepPercentage",
+  "safetyOrderType",
+  "activeSafetyOrdersCount",
+  "martingaleVolumeCoefficient",
+  "martingaleStepCoefficient",
+  "stopLossPercentage",
+  "trailingStopLossEnabled",
+  "stopLossAction",
+  "stopLossTimeout",
+  "cooldown",
+  "startConditions",
+  "note",
+];
+
+const botTemplateSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    direction: {
+      type: String,
+      enum: ["long", "short"],
+      required: true,
+    },
+    botType: {
+      type: String,
+      enum: ["single", "multi"],
+      required: true,
+    },
+    // Default pair; create-from-template can pass its own
+    pair: {
+      type: String,
+      default: null,
+    },
+    // Default pair list for multi-pair templates
+    pairs: {
+      type: [String],
+      default: undefined,
+    },
+    maxActiveDeals: Number,
+    profitCurrency: {
+      type: String,
+      enum: ["quote", "base"],
+      required: true,
+    },
+    baseOrderSize: {
+      type: Number,
+      required: true,
+    },
+    startOrderType: {
+      type: String,
+      enum: ["market", "limit"],
+      required: true,
+    },
+    takeProfitType: {
+      type: String,
+      enum: ["total", "step"],
+      required: true,
+    },
+    // Optional for step templates, which take it from the last step
+    targetProfitPercent: Number,
+    takeProfitSteps: {
+      type: [
+        {
+          _id: false,
+          profitPercent: Number,
+          closePercent: Number,
+        },
+      ],
+      default: undefined,
+    },
+    trailingEnabled: Boolean,
+    trailingDeviation: Number,
+    safetyOrderVolume: Number,
+    maxSafetyOrders: Number,
+    safetyOrderStepPercentage: Number,
+    safetyOrderType: {
+      type: String,
+      enum: ["market", "limit"],
+    },
+    activeSafetyOrdersCount: Number,
+    martingaleVolumeCoefficient: Number,
+    martingaleStepCoefficient: Number,
+    stopLossPercentage: Number,
+    trailingStopLossEnabled: Boolean,
+    stopLossAction: {
+      type: String,
+      enum: ["closeDeal", "closeDealAndStopBot"],
+    },
+    stopLossTimeout: Number,
+    cooldown: Number,
+    // Deal start conditions in the createBot format (see utils/startConditions.js)
+    startConditions: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: undefined,
+    },
+    note: String,
+    // Fields create-from-template may override; everything else is fixed
+    overridableFields: {
+      type: [{ type: String, enum: TEMPLATE_FIELDS }],
+      default: [],
+    },
+    timesUsed: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+botTemplateSchema.index({ user: 1, name: 1 }, { unique: true });
+
+// createBot parameters for a bot built from this template
+botTemplateSchema.methods.toBotParams = function () {
+  const params = {};
+  for (const field of TEMPLATE_FIELDS) {
+    if (this[field] !== undefined && this[field] !== null) {
+      params[field] = this[field];
+    }
+  }
+  return params;
+};
+
+botTemplateSchema.statics.TEMPLATE_FIELDS = TEMPLATE_FIELDS;
+
+module.exports = mongoose.model("BotTemplate", botTemplateSchema);
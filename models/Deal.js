@@ -0,0 +1,112 @@
+const mongoose = require("mongoose");
+
+const dealSchema = new mongoose.Schema(
+  {
+    bot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bot",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    threeCommasDealId: {
+      type: Number,
+      required: true,
+    },
+    threeCommasBotId: {
+      type: Number,
+      required: true,
+    },
+    pair: String,
+    status: String, // 3Commas deal status (active, completed, cancelled, ...)
+    finished: {
+      type: Boolean,
+      default: false,
+    },
+    // Order execution
+    baseOrderVolume: Number,
+    safetyOrderVolume: Number,
+    completedSafetyOrders: {
+      type: Number,
+      default: 0,
+    },
+    boughtAmount: Number,
+    boughtVolume: Number,
+    boughtAveragePrice: Number,
+    soldAmount: Number,
+    soldVolume: Number,
+    soldAveragePrice: Number,
+    takeProfit: Number,
+    stopLossPercentage: Number,
+    // Results
+    finalProfit: {
+      type: Number,
+      default: 0,
+    },
+    finalProfitPercentage: {
+      type: Number,
+      default: 0,
+    },
+    usdFinalProfit: {
+      type: Number,
+      default: 0,
+    },
+    // 3Commas timestamps
+    openedAt: Date,
+    closedAt: Date,
+    threeCommasUpdatedAt: Date,
+  },
+  { timestamps: true }
+);
+
+dealSchema.index({ threeCommasDealId: 1 }, { unique: true });
+dealSchema.index({ bot: 1, openedAt: -1 });
+dealSchema.index({ user: 1, closedAt: -1 });
+
+// Virtual for deal duration in milliseconds (open deals run until now)
+dealSchema.virtual("duration").get(function () {
+  if (!this.openedAt) return 0;
+  return (this.closedAt || new Date()) - this.openedAt;
+});
+
+// Map a 3Commas deal payload onto Deal fields
+dealSchema.statics.fromThreeCommas = function (deal) {
+  const toNumber = (value) =>
+    value === null || value === undefined ? undefined : parseFloat(value);
+  const toDate = (value) => (value ? new Date(value) : undefined);
+
+  const fields = {
+    threeCommasDealId: deal.id,
+    threeCommasBotId: deal.bot_id,
+    pair: deal.pair,
+    status: deal.status,
+    finished: Boolean(deal["finished?"]),
+    baseOrderVolume: toNumber(deal.base_order_volume),
+    safetyOrderVolume: toNumber(deal.safety_order_volume),
+    completedSafetyOrders: deal.completed_safety_orders_count || 0,
+    boughtAmount: toNumber(deal.bought_amount),
+    boughtVolume: toNumber(deal.bought_volume),
+    boughtAveragePrice: toNumber(deal.bought_average_price),
+    soldAmount: toNumber(deal.sold_amount),
+    soldVolume: toNumber(deal.sold_volume),
+    soldAveragePrice: toNumber(deal.sold_average_price),
+    takeProfit: toNumber(deal.take_profit),
+    stopLossPercentage: toNumber(deal.stop_loss_percentage),
+    finalProfit: toNumber(deal.final_profit) || 0,
+    finalProfitPercentage: toNumber(deal.final_profit_percentage) || 0,
+    usdFinalProfit: toNumber(deal.usd_final_profit) || 0,
+    openedAt: toDate(deal.created_at),
+    closedAt: toDate(deal.closed_at),
+    threeCommasUpdatedAt: toDate(deal.updated_at),
+  };
+
+  Object.keys(fields).forEach((key) => {
+    if (fields[key] === undefined) delete fields[key];
+  });
+  return fields;
+};
+
+module.exports = mongoose.model("Deal", dealSchema);
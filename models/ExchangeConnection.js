@@ -0,0 +1,158 @@
+const mongoose = require("mongoose");
+const { decrypt } = require("../utils/encrypt");
+const { EXCHANGES } = require("../utils/exchangeAdapters");
+
+// Label given to keys moved over from the single connection stored on User
+const LEGACY_LABEL = "main";
+
+// One exchange account a user trades on (main, sub-account, ...), each with
+// its own 3Commas account
+const exchangeConnectionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    exchange: {
+      type: String,
+      enum: EXCHANGES,
+      default: "binance",
+    },
+    // Encrypted with utils/encrypt
+    apiKey: {
+      type: String,
+      required: true,
+    },
+    apiSecret: {
+      type: String,
+      required: true,
+    },
+    // KuCoin and OKX keys come with a passphrase
+    passphrase: {
+      type: String,
+      default: undefined,
+    },
+    // Set once the exchange is added to 3Commas; bots run on this account
+    threeCommasAccountId: {
+      type: Number,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+exchangeConnectionSchema.index({ user: 1, label: 1 }, { unique: true });
+exchangeConnectionSchema.index({ threeCommasAccountId: 1 });
+
+// Move keys stored on the User document (before connections existed) into a
+// connection of their own
+exchangeConnectionSchema.statics.migrateLegacy = async function (user) {
+  if (!user?.binanceApiKey || !user?.binanceApiSecret) return;
+
+  try {
+    await this.create({
+      user: user._id,
+      label: LEGACY_LABEL,
+      exchange: "binance",
+      apiKey: user.binanceApiKey,
+      apiSecret: user.binanceApiSecret,
+      threeCommasAccountId: user.threeCommasAccountId || null,
+    });
+  } catch (error) {
+    // A concurrent request already moved them
+    if (error.code !== 11000) throw error;
+  }
+
+  user.binanceApiKey = undefined;
+  user.binanceApiSecret = undefined;
+  user.threeCommasAccountId = undefined;
+  await user.save();
+};
+
+// All of a user's connections, oldest first
+exchangeConnectionSchema.statics.forUser = async function (user) {
+  if (!user) return [];
+  await this.migrateLegacy(user);
+  return this.find({ user: user._id }).sort({ createdAt: 1 });
+};
+
+/**
+ * Pick the connection a request acts on: the given id, or the user's only
+ * connection when none is given.
+ * @param {Object} user - User document
+ * @param {string} [connectionId]
+ * @returns {Promise<{connection?: Object, status?: number, message?: string}>}
+ */
+exchangeConnectionSchema.statics.resolve = async function (user, connectionId) {
+  const connections = await this.forUser(user);
+
+  if (connectionId) {
+    const connection = connections.find(
+      (c) => c._id.toString() === String(connectionId)
+    );
+    return connection
+      ? { connection }
+      : { status: 404, message: "Exchange connection not found" };
+  }
+
+  if (connections.length === 0) {
+    return {
+      status: 400,
+      message:
+        "No exchange connected. Please connect your Binance account first.",
+    };
+  }
+  if (connections.length > 1) {
+    return {
+      status: 400,
+      message: `Several exchanges are connected; pass connectionId (one of: ${connections
+        .map((c) => `${c._id} "${c.label}"`)
+        .join(", ")})`,
+    };
+  }
+  return { connection: connections[0] };
+};
+
+// The user's connection behind a 3Commas account (e.g. a bot's exchangeId)
+exchangeConnectionSchema.statics.forAccount = async function (user, accountId) {
+  if (!accountId) return null;
+  await this.migrateLegacy(user);
+  return this.findOne({ user: user._id, threeCommasAccountId: accountId });
+};
+
+// 3Commas account ids of all the user's connections
+exchangeConnectionSchema.statics.accountIdsForUser = async function (user) {
+  const connections = await this.forUser(user);
+  return connections
+    .map((connection) => connection.threeCommasAccountId)
+    .filter(Boolean);
+};
+
+exchangeConnectionSchema.methods.credentials = function () {
+  return {
+    apiKey: decrypt(this.apiKey),
+    apiSecret: decrypt(this.apiSecret),
+    ...(this.passphrase && { passphrase: decrypt(this.passphrase) }),
+  };
+};
+
+// Never expose the (encrypted) keys in API responses
+exchangeConnectionSchema.set("toJSON", {
+  transform: (_doc, ret) => {
+    delete ret.apiKey;
+    delete ret.apiSecret;
+    delete ret.passphrase;
+    return ret;
+  },
+});
+
+exchangeConnectionSchema.statics.EXCHANGES = EXCHANGES;
+
+module.exports = mongoose.model("ExchangeConnection", exchangeConnectionSchema);
@@ -3,9 +3,10 @@ const mongoose = require("mongoose");
 const userSchema = new mongoose.Schema(
   {
     userId: String, // From Memberstack
+    // Legacy single connection; moved into ExchangeConnection on first use
     binanceApiKey: String,
     binanceApiSecret: String,
-    threeCommasAccountId: Number, // Store the 3Commas account ID
+    threeCommasAccountId: Number,
   },
   { timestamps: true }
 );
@@ -1,4 +1,57 @@
 const mongoose = require("mongoose");
+const {
+  maxCapital,
+  checkStopLoss,
+  toLadderConfig,
+  LADDER_FIELDS,
+} = require("../utils/dcaLadder");
+const {
+  CONDITION_TYPES,
+  TIMEFRAMES,
+  QFL_TYPES,
+} = require("../utils/startConditions");
+const { parseTakeProfitSteps } = require("../utils/takeProfitSteps");
+
+// One deal start condition; which fields apply depends on the type
+const startConditionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: CONDITION_TYPES,
+      required: true,
+    },
+    timeframe: {
+      type: String,
+      enum: TIMEFRAMES,
+    },
+    // RSI level a long deal opens below (short: above)
+    threshold: Number,
+    // TradingView technical rating, e.g. buy_or_strong_buy
+    rating: String,
+    qflType: {
+      type: String,
+      enum: QFL_TYPES,
+    },
+    // QFL base crack percentage
+    percent: Number,
+  },
+  { _id: false }
+);
+
+// One take-profit step: close closePercent of the position at profitPercent
+const takeProfitStepSchema = new mongoose.Schema(
+  {
+    profitPercent: {
+      type: Number,
+      required: true,
+    },
+    closePercent: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
 
 const botSchema = new mongoose.Schema(
   {
@@ -15,10 +68,22 @@ const botSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    // First (or only) pair; kept for single-pair bots and older clients
     pair: {
       type: String,
       required: true,
     },
+    // Every pair of a multi-pair (composite) bot
+    pairs: {
+      type: [String],
+      default: undefined,
+    },
+    // Deals the bot may have open at once across its pairs
+    maxActiveDeals: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
     strategy: {
       type: String,
       enum: ["long", "short"],
@@ -48,10 +113,16 @@ const botSchema = new mongoose.Schema(
       enum: ["total", "step"],
       required: true,
     },
+    // With takeProfitType "step", the final step's profit
     targetProfitPercent: {
       type: Number,
       required: true,
     },
+    // Take-profit steps for takeProfitType "step"
+    takeProfitSteps: {
+      type: [takeProfitStepSchema],
+      default: [],
+    },
     // Enhanced safety order configuration
     safetyOrderVolume: {
       type: Number,
@@ -71,6 +142,46 @@ const botSchema = new mongoose.Schema(
       min: 0.1,
       max: 50.0,
     },
+    safetyOrderType: {
+      type: String,
+      enum: ["market", "limit"],
+      default: "market",
+    },
+    // Safety orders placed on the exchange at the same time
+    activeSafetyOrdersCount: {
+      type: Number,
+      default: function () {
+        return this.maxSafetyOrders;
+      },
+      min: 1,
+      max: 25,
+    },
+    // Each safety order's volume is the previous one's times this
+    martingaleVolumeCoefficient: {
+      type: Number,
+      default: 1.0,
+      min: 0.1,
+      max: 10,
+    },
+    // Each safety order's price step is the previous one's times this
+    martingaleStepCoefficient: {
+      type: Number,
+      default: 1.0,
+      min: 0.1,
+      max: 10,
+    },
+    // Trailing take profit: once take profit is reached, sell only after
+    // the price falls back by trailingDeviation percent from its peak
+    trailingEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    trailingDeviation: {
+      type: Number,
+      default: 0.2,
+      min: 0.1,
+      max: 100,
+    },
     // Risk management
     stopLossPercentage: {
       type: Number,
@@ -78,11 +189,33 @@ const botSchema = new mongoose.Schema(
       min: 0,
       max: 100,
     },
+    // Stop loss follows the price, staying stopLossPercentage below its peak
+    trailingStopLossEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    // What a triggered stop loss does besides closing the deal
+    stopLossAction: {
+      type: String,
+      enum: ["closeDeal", "closeDealAndStopBot"],
+      default: "closeDeal",
+    },
+    // Seconds the price must stay past the stop loss before it fires; 0 fires at once
+    stopLossTimeout: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     cooldown: {
       type: Number,
       default: 0,
       min: 0,
     },
+    // Deal start conditions; empty opens deals non-stop
+    startConditions: {
+      type: [startConditionSchema],
+      default: [],
+    },
     // Additional configuration
     note: {
       type: String,
@@ -97,6 +230,20 @@ const botSchema = new mongoose.Schema(
       enum: ["running", "paused", "stopped", "error"],
       default: "running",
     },
+    // Why the bot is in its current status when it was not changed by the user
+    statusReason: {
+      type: String,
+      default: null,
+    },
+    // Set when the linked 3Commas bot no longer exists
+    orphaned: {
+      type: Boolean,
+      default: false,
+    },
+    reconciledAt: {
+      type: Date,
+      default: null,
+    },
     // Performance tracking
     totalDeals: {
       type: Number,
@@ -110,6 +257,11 @@ const botSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Newest 3Commas deal update pulled by the deal sync worker
+    dealsSyncedAt: {
+      type: Date,
+      default: null,
+    },
     // Bot configuration version
     configVersion: {
       type: Number,
@@ -124,22 +276,78 @@ botSchema.index({ user: 1, name: 1 }, { unique: true });
 botSchema.index({ user: 1, status: 1 });
 botSchema.index({ threeCommasBotId: 1 });
 
-// Virtual for total value
+// Virtual for total value: capital needed if every safety order fills
 botSchema.virtual("totalValue").get(function () {
-  return this.baseOrderSize + this.safetyOrderVolume * this.maxSafetyOrders;
+  return maxCapital(this);
 });
 
-// Method to update performance metrics
-botSchema.methods.updatePerformance = function (dealData) {
-  this.totalDeals += 1;
-  this.totalProfit += dealData.profit || 0;
-  this.lastDealAt = new Date();
+// Pairs the bot trades; older single-pair bots only have pair
+botSchema.methods.getPairs = function () {
+  return this.pairs?.length ? [...this.pairs] : [this.pair];
+};
+
+// Method to update performance metrics from the synced Deal collection
+botSchema.methods.updatePerformance = async function () {
+  const [stats] = await mongoose.model("Deal").aggregate([
+    { $match: { bot: this._id } },
+    {
+      $group: {
+        _id: null,
+        totalDeals: { $sum: 1 },
+        totalProfit: {
+          $sum: { $cond: ["$finished", "$finalProfit", 0] },
+        },
+        lastDealAt: { $max: "$openedAt" },
+      },
+    },
+  ]);
+
+  this.totalDeals = stats?.totalDeals || 0;
+  this.totalProfit = stats?.totalProfit || 0;
+  this.lastDealAt = stats?.lastDealAt || null;
   return this.save();
 };
 
-// Method to validate bot configuration
-botSchema.methods.validateConfig = function () {
+// Stop-loss settings and how they sit against the safety order ladder
+botSchema.methods.stopLossSettings = function () {
+  const percentage = this.stopLossPercentage || 0;
+  const { reachableSafetyOrders, error, warning } =
+    percentage > 0 ? checkStopLoss(toLadderConfig(this), percentage) : {};
+  return {
+    enabled: percentage > 0,
+    percentage,
+    action: this.stopLossAction || "closeDeal",
+    timeoutSeconds: this.stopLossTimeout || 0,
+    trailing: Boolean(this.trailingStopLossEnabled),
+    reachableSafetyOrders,
+    // A saved bot keeps running, so a stop loss before the first safety order
+    // is only reported here; validateConfig rejects it for new configurations
+    warning: error || warning,
+  };
+};
+
+// Fields whose change re-checks the take profit steps
+const TAKE_PROFIT_FIELDS = [
+  "takeProfitType",
+  "takeProfitSteps",
+  "targetProfitPercent",
+];
+
+// Fields whose change re-checks the stop loss against the safety order ladder
+const STOP_LOSS_RULE_FIELDS = ["stopLossPercentage", ...LADDER_FIELDS];
+
+/**
+ * Validate the bot configuration.
+ * @param {Object} [options]
+ * @param {string[]} [options.changedFields] - On updates, the fields that
+ *   change; rules older bots may already break then only run when the update
+ *   touches their fields
+ * @returns {string[]} error messages
+ */
+botSchema.methods.validateConfig = function ({ changedFields } = {}) {
   const errors = [];
+  const touches = (fields) =>
+    !changedFields || fields.some((field) => changedFields.includes(field));
 
   if (this.baseOrderSize <= 0) {
     errors.push("Base order size must be greater than 0");
@@ -160,6 +368,61 @@ botSchema.methods.validateConfig = function () {
     errors.push("Safety order step percentage must be between 0.1 and 50");
   }
 
+  if (
+    this.activeSafetyOrdersCount < 1 ||
+    this.activeSafetyOrdersCount > this.maxSafetyOrders
+  ) {
+    errors.push("Active safety orders must be between 1 and max safety orders");
+  }
+
+  if (
+    this.martingaleVolumeCoefficient < 0.1 ||
+    this.martingaleVolumeCoefficient > 10
+  ) {
+    errors.push("Martingale volume coefficient must be between 0.1 and 10");
+  }
+
+  if (
+    this.martingaleStepCoefficient < 0.1 ||
+    this.martingaleStepCoefficient > 10
+  ) {
+    errors.push("Martingale step coefficient must be between 0.1 and 10");
+  }
+
+  if (
+    this.trailingEnabled &&
+    !(
+      this.trailingDeviation >= 0.1 &&
+      this.trailingDeviation < this.targetProfitPercent
+    )
+  ) {
+    errors.push(
+      "Trailing deviation must be at least 0.1 and below the target profit percentage"
+    );
+  }
+
+  if (this.trailingStopLossEnabled && !(this.stopLossPercentage > 0)) {
+    errors.push("Trailing stop loss needs a stop loss percentage above 0");
+  }
+
+  if (this.takeProfitType === "step") {
+    // Older step bots have no steps; only updates to the take profit need them
+    const { error } = touches(TAKE_PROFIT_FIELDS)
+      ? parseTakeProfitSteps(this.takeProfitSteps)
+      : {};
+    if (error) errors.push(`Take profit steps ${error}`);
+  } else if (this.takeProfitSteps?.length) {
+    errors.push("Take profit steps need take profit type 'step'");
+  }
+
+  if (this.stopLossPercentage > 0 && touches(STOP_LOSS_RULE_FIELDS)) {
+    const { error } = checkStopLoss(
+      toLadderConfig(this),
+      this.stopLossPercentage
+    );
+    if (error) errors.push(error);
+  }
+
   return errors;
 };
 
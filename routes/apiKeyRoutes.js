@@ -0,0 +1,13 @@
+const express = require("express");
+const router = express.Router();
+const { authenticate, requireSession } = require("../middleware/auth");
+const controller = require("../controllers/apiKeyController");
+
+// Keys can only be managed from a signed-in session, never with another key
+router.use(authenticate, requireSession);
+
+router.post("/", controller.createApiKey);
+router.get("/", controller.listApiKeys);
+router.delete("/:keyId", controller.revokeApiKey);
+
+module.exports = router;
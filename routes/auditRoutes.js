@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const { authenticate, requireScope } = require("../middleware/auth");
+const controller = require("../controllers/auditController");
+
+router.use(authenticate, requireScope("read"));
+
+router.get("/", controller.listAuditEvents);
+router.get("/bots/:botId", controller.getBotAuditTrail);
+
+module.exports = router;
@@ -1,16 +1,38 @@
 const express = require("express");
 const router = express.Router();
+const { authenticate, requireScope } = require("../middleware/auth");
 const controller = require("../controllers/binanceController");
 
-router.post("/connect", controller.connectBinance);
-router.get("/status", controller.getBinanceStatus);
-router.post("/disconnect", controller.disconnectBinance);
-router.get("/wallet", controller.getFullWalletInfo);
-router.get("/trades", controller.getTradeHistory);
-router.get("/stats", controller.getBinanceStats);
-router.get("/wallet/simple", controller.getSimpleWallet);
-router.get("/check-accounts", controller.checkThreeCommasAccounts);
-router.get("/account/:accountId", controller.getAccountDetails);
-router.get("/test-3commas", controller.testThreeCommasConnection);
+// Every route acts on the user identified by the bearer token or API key
+router.use(authenticate);
+
+const read = requireScope("read");
+const admin = requireScope("admin");
+
+router.post("/connect", admin, controller.connectBinance);
+router.get("/status", read, controller.getBinanceStatus);
+router.post("/disconnect", admin, controller.disconnectBinance);
+
+// One user may connect several exchange accounts (main, sub-account, ...)
+router.get("/exchanges", read, controller.listSupportedExchanges);
+router.get("/connections", read, controller.listConnections);
+router.get(
+  "/connections/:connectionId/status",
+  read,
+  controller.getBinanceStatus
+);
+router.post(
+  "/connections/:connectionId/disconnect",
+  admin,
+  controller.disconnectBinance
+);
+
+router.get("/wallet", read, controller.getFullWalletInfo);
+router.get("/trades", read, controller.getTradeHistory);
+router.get("/stats", read, controller.getBinanceStats);
+router.get("/wallet/simple", read, controller.getSimpleWallet);
+router.get("/check-accounts", read, controller.checkThreeCommasAccounts);
+router.get("/account/:accountId", read, controller.getAccountDetails);
+router.get("/test-3commas", read, controller.testThreeCommasConnection);
 
 module.exports = router;
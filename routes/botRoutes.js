@@ -1,28 +1,78 @@
 const express = require("express");
 const router = express.Router();
+const { authenticate, requireScope } = require("../middleware/auth");
 
 const botController = require("../controllers/botController");
 const manageBotController = require("../controllers/manageBotController");
+const dealController = require("../controllers/dealController");
+
+// Every route acts on the user identified by the bearer token or API key
+router.use(authenticate);
+
+const read = requireScope("read");
+const trade = requireScope("trade");
+const admin = requireScope("admin");
 
 // Bot creation and management
-router.post("/create", botController.createBot);
-router.get("/user/:userId", manageBotController.getBotsByUserId);
-router.post("/pause/:botId", manageBotController.pauseBot);
-router.post("/start/:botId", manageBotController.startBot);
-router.delete("/delete/:botId", manageBotController.deleteBot);
+router.post("/create", admin, botController.createBot);
+router.post("/preview", read, botController.previewBot);
+router.post("/backtest", read, botController.backtestBot);
+router.post(
+  "/create-from-template/:templateId",
+  admin,
+  botController.createBotFromTemplate
+);
+router.get("/user", read, manageBotController.getBotsByUserId);
+router.get("/user/:userId", read, manageBotController.getBotsByUserId);
+router.post("/pause/:botId", trade, manageBotController.pauseBot);
+router.post("/start/:botId", trade, manageBotController.startBot);
+router.delete("/delete/:botId", admin, manageBotController.deleteBot);
 
 // Enhanced bot management routes
-router.get("/stats/:botId?", botController.getBotStats);
-router.patch("/update/:botId", botController.updateBot);
-router.get("/performance/:botId", botController.getBotPerformance);
-router.post("/duplicate/:botId", botController.duplicateBot);
-router.get("/details/:botId", manageBotController.getBotDetails);
-router.get("/summary", manageBotController.getBotSummary);
+router.get("/stats", read, botController.getBotStats);
+router.get("/stats/:botId", read, botController.getBotStats);
+router.patch("/update/:botId", admin, botController.updateBot);
+router.get("/versions/:botId", read, botController.getBotVersions);
+router.post("/rollback/:botId/:version", admin, botController.rollbackBot);
+router.get("/performance/:botId", read, botController.getBotPerformance);
+router.post("/duplicate/:botId", admin, botController.duplicateBot);
+router.get("/details/:botId", read, manageBotController.getBotDetails);
+router.get("/summary", read, manageBotController.getBotSummary);
 
 // 3Commas integration routes
-router.get("/verify/:botId", botController.verifyBotCreation);
-router.get("/list-3commas", botController.listThreeCommasBots);
-router.get("/deals/:botId", botController.getBotDeals);
-router.post("/emergency-stop/:botId", manageBotController.emergencyStopBot);
+router.get("/verify/:botId", read, botController.verifyBotCreation);
+router.get("/list-3commas", read, botController.listThreeCommasBots);
+router.get("/deals/:botId", read, botController.getBotDeals);
+router.post(
+  "/emergency-stop/:botId",
+  trade,
+  manageBotController.emergencyStopBot
+);
+router.post("/reconcile", trade, manageBotController.reconcileBots);
+
+// Single deal operations (dealId is the 3Commas deal id)
+router.post("/:botId/deals/:dealId/close", trade, dealController.closeDeal);
+router.post("/:botId/deals/:dealId/cancel", trade, dealController.cancelDeal);
+router.post(
+  "/:botId/deals/:dealId/add-funds",
+  trade,
+  dealController.addDealFunds
+);
+router.post(
+  "/:botId/deals/:dealId/safety-order",
+  trade,
+  dealController.addSafetyOrder
+);
+router.patch("/:botId/deals/:dealId", trade, dealController.updateDeal);
+
+// Bulk lifecycle operations (bot ids or a filter in the body)
+router.post("/bulk/pause", trade, manageBotController.bulkPauseBots);
+router.post("/bulk/start", trade, manageBotController.bulkStartBots);
+router.post(
+  "/bulk/emergency-stop",
+  trade,
+  manageBotController.bulkEmergencyStopBots
+);
+router.post("/bulk/delete", admin, manageBotController.bulkDeleteBots);
 
 module.exports = router;
@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const { authenticate, requireScope } = require("../middleware/auth");
+const controller = require("../controllers/templateController");
+
+// Every route acts on the user identified by the bearer token or API key
+router.use(authenticate);
+
+const read = requireScope("read");
+const admin = requireScope("admin");
+
+router.post("/", admin, controller.createTemplate);
+router.get("/", read, controller.listTemplates);
+router.get("/:templateId", read, controller.getTemplate);
+router.patch("/:templateId", admin, controller.updateTemplate);
+router.delete("/:templateId", admin, controller.deleteTemplate);
+
+module.exports = router;
@@ -3,6 +3,9 @@ const cors = require("cors");
 const mongoose = require("mongoose");
 const path = require("path");
 const config = require("./config");
+const { errorHandler } = require("./middleware/errorHandler");
+const { startDealSync } = require("./workers/dealSync");
+const { startReconciliation } = require("./workers/reconcileBots");
 
 const app = express();
 
@@ -20,9 +23,15 @@ app.use("/scripts", express.static(path.join(__dirname, "public/scripts")));
 // Routes
 const binanceRoutes = require("./routes/binanceRoutes");
 const botRoutes = require("./routes/botRoutes");
+const apiKeyRoutes = require("./routes/apiKeyRoutes");
+const auditRoutes = require("./routes/auditRoutes");
+const templateRoutes = require("./routes/templateRoutes");
 
 app.use("/api/binance", binanceRoutes);
 app.use("/api/bots", botRoutes);
+app.use("/api/keys", apiKeyRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/templates", templateRoutes);
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -48,19 +57,10 @@ const connectDB = async () => {
 };
 
 // Error handling middleware
-app.use((err, req, res, next) => {
-  console.error("❌ Server error:", err);
-  res.status(500).json({
-    error: "Internal server error",
-    message:
-      config.server.environment === "development"
-        ? err.message
-        : "Something went wrong",
-  });
-});
+app.use(errorHandler);
 
 // 404 handler
-app.use("/*", (req, res) => {
+app.use((req, res) => {
   res.status(404).json({ error: "Route not found" });
 });
 
@@ -68,6 +68,8 @@ app.use("/*", (req, res) => {
 const startServer = async () => {
   try {
     await connectDB();
+    startDealSync();
+    startReconciliation();
 
     app.listen(config.server.port, () => {
       console.log(`🚀 Server running on port ${config.server.port}`);
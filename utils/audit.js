@@ -0,0 +1,80 @@
+const AuditEvent = require("../models/AuditEvent");
+const { ThreeCommasError } = require("./errors");
+
+// Bookkeeping fields that are not part of a bot's configuration
+const NON_CONFIG_FIELDS = [
+  "_id",
+  "__v",
+  "user",
+  "createdAt",
+  "updatedAt",
+  "totalDeals",
+  "totalProfit",
+  "lastDealAt",
+  "dealsSyncedAt",
+  "reconciledAt",
+];
+
+// Plain copy of a bot's configuration for before/after snapshots
+exports.configSnapshot = (bot) => {
+  if (!bot) return null;
+  const snapshot = bot.toObject ? bot.toObject() : { ...bot };
+  NON_CONFIG_FIELDS.forEach((field) => delete snapshot[field]);
+  return snapshot;
+};
+
+/**
+ * Record a bot or account mutation. Never throws: a failed audit write is
+ * logged and must not fail the request that triggered it.
+ * @param {Object} req - Authenticated request (req.auth, req.user)
+ * @param {Object} event
+ * @param {string} event.action - One of AuditEvent.ACTIONS
+ * @param {Object} [event.bot] - Bot document acted on
+ * @param {number} [event.accountId] - 3Commas account id for account actions
+ * @param {number} [event.dealId] - 3Commas deal id for deal actions
+ * @param {Object} [event.before] - Config before the change
+ * @param {Object} [event.after] - Config after the change
+ * @param {Object} [event.request] - 3Commas request ({ method, path, body })
+ * @param {*} [event.response] - 3Commas response data on success
+ * @param {Error} [event.error] - Error when the 3Commas call failed
+ */
+exports.recordAudit = async (
+  req,
+  { action, bot, accountId, dealId, before, after, request, response, error }
+) => {
+  try {
+    await AuditEvent.create({
+      user: req.user?._id || null,
+      actor: {
+        userId: req.auth?.userId,
+        method: req.auth?.method,
+        apiKeyId: req.auth?.apiKeyId || null,
+      },
+      action,
+      target: {
+        bot: bot?._id || null,
+        botName: bot?.name,
+        threeCommasBotId: bot?.threeCommasBotId || undefined,
+        threeCommasAccountId: accountId ?? bot?.exchangeId,
+        threeCommasDealId: dealId,
+      },
+      before: before || null,
+      after: after || null,
+      outcome: {
+        success: !error,
+        request,
+        response: error ? undefined : response,
+        error: error
+          ? error instanceof ThreeCommasError
+            ? error.toJSON()
+            : { message: error.message }
+          : undefined,
+        status: error?.status,
+      },
+      ip: req.ip,
+      userAgent: req.get?.("user-agent"),
+    });
+  } catch (auditError) {
+    console.error("❌ Failed to record audit event:", auditError.message);
+  }
+};
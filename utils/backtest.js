@@ -0,0 +1,309 @@
+// Offline backtester: replays a DCA bot configuration against OHLCV candles
+
+const fs = require("fs/promises");
+const path = require("path");
+const config = require("../config");
+const { buildLadder, maxCapital, toLadderConfig } = require("./dcaLadder");
+
+const MAX_CANDLES = 200000;
+
+// Column order of headerless CSV rows and array candles (Binance kline order)
+const COLUMNS = ["time", "open", "high", "low", "close", "volume"];
+
+// CSV header names accepted for the time column
+const TIME_HEADERS = ["time", "timestamp", "date", "open_time", "opentime"];
+
+const DATASET_NAME = /^[A-Za-z0-9_-]+$/;
+
+const round = (value, decimals = 8) =>
+  Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Epoch seconds, epoch milliseconds or a date string, as milliseconds
+function toTime(value) {
+  const number = Number(value);
+  if (value !== "" && Number.isFinite(number)) {
+    return number < 1e12 ? number * 1000 : number;
+  }
+  return typeof value === "string" ? Date.parse(value) : NaN;
+}
+
+const fromColumns = (row) =>
+  Object.fromEntries(COLUMNS.map((column, i) => [column, row[i]]));
+
+// CSV text as candle-like objects; the header row is optional
+function csvRows(text) {
+  const rows = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => line.split(",").map((cell) => cell.trim()));
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map((cell) => cell.toLowerCase());
+  if (!header.includes("open")) return rows.map(fromColumns);
+
+  const names = header.map((name) =>
+    TIME_HEADERS.includes(name) ? "time" : name
+  );
+  return rows
+    .slice(1)
+    .map((row) => Object.fromEntries(names.map((name, i) => [name, row[i]])));
+}
+
+function toCandle(fields, index) {
+  const label = `candle ${index + 1}`;
+  const time = toTime(fields.time ?? fields.timestamp ?? fields.openTime);
+  if (!Number.isFinite(time)) return { error: `${label}: invalid time` };
+
+  const candle = { time };
+  for (const field of ["open", "high", "low", "close"]) {
+    const value = Number(fields[field]);
+    if (!(value > 0)) {
+      return { error: `${label}: ${field} must be a positive number` };
+    }
+    candle[field] = value;
+  }
+  if (
+    candle.high < Math.max(candle.open, candle.close) ||
+    candle.low > Math.min(candle.open, candle.close)
+  ) {
+    return { error: `${label}: high and low must contain open and close` };
+  }
+  candle.volume = Number(fields.volume) || 0;
+  return { value: candle };
+}
+
+/**
+ * Parse uploaded candles: CSV text (time,open,high,low,close[,volume], with or
+ * without a header) or a JSON array of objects or Binance-style kline arrays.
+ * Times may be epoch seconds, epoch milliseconds or date strings.
+ * @returns {{ value?: Object[], error?: string }} candles sorted by time
+ */
+exports.parseCandles = (input) => {
+  let rows;
+  if (typeof input === "string") {
+    rows = csvRows(input);
+  } else if (Array.isArray(input)) {
+    rows = input.map((item) =>
+      Array.isArray(item) ? fromColumns(item) : item
+    );
+  } else {
+    return { error: "candles must be CSV text or an array" };
+  }
+
+  if (rows.length < 2) return { error: "at least 2 candles are required" };
+  if (rows.length > MAX_CANDLES) {
+    return { error: `at most ${MAX_CANDLES} candles are supported` };
+  }
+
+  const candles = [];
+  for (const [index, row] of rows.entries()) {
+    const result = toCandle(row || {}, index);
+    if (result.error) return { error: result.error };
+    candles.push(result.value);
+  }
+
+  candles.sort((a, b) => a.time - b.time);
+  for (let i = 1; i < candles.length; i++) {
+    if (candles[i].time === candles[i - 1].time) {
+      return {
+        error: `two candles at ${new Date(candles[i].time).toISOString()}`,
+      };
+    }
+  }
+  return { value: candles };
+};
+
+/**
+ * Read a stored candle file (<name>.csv or <name>.json) from the backtest
+ * data directory.
+ * @returns {Promise<string|Array|null>} raw candles for parseCandles, or null
+ *   when no such dataset exists
+ */
+exports.readDataset = async (name) => {
+  if (!DATASET_NAME.test(name)) return null;
+
+  for (const extension of [".csv", ".json"]) {
+    const file = path.join(config.backtest.dataDir, `${name}${extension}`);
+    try {
+      const text = await fs.readFile(file, "utf8");
+      return extension === ".json" ? JSON.parse(text) : text;
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+  return null;
+};
+
+/**
+ * Replay a bot against candles. A deal opens at the open of the first candle
+ * after the cooldown, fills safety orders as price reaches them, and closes at
+ * take profit or stop loss (measured from the average entry price). Within a
+ * candle the adverse move is assumed to come first, so a candle that touches
+ * both stop loss and take profit counts as a loss.
+ * @param {Object} params - createBot fields (direction, baseOrderSize, ...)
+ * @param {Object[]} candles - Output of parseCandles
+ * @param {Object} [options]
+ * @param {number} [options.feePercent=0] - Exchange fee per fill, in percent
+ * @returns {{ summary: Object, deals: Object[], openDeal: Object|null }}
+ */
+exports.runBacktest = (params, candles, { feePercent = 0 } = {}) => {
+  const ladderConfig = toLadderConfig(params);
+  const long = ladderConfig.direction !== "short";
+  const sign = long ? 1 : -1;
+  const stopLoss = Number(params.stopLossPercentage) || 0;
+  const stopBotOnStopLoss = params.stopLossAction === "closeDealAndStopBot";
+  const cooldownMs = (Number(params.cooldown) || 0) * 1000;
+  const fee = feePercent / 100;
+
+  const deals = [];
+  let deal = null;
+  let nextStart = -Infinity;
+  let realized = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  let maxCapitalUsed = 0;
+  let timeInDealMs = 0;
+
+  // Net result of selling (long) or buying back (short) the whole position
+  const dealPnl = ({ last }, price) => {
+    const exitValue = last.totalQuantity * price;
+    return (
+      sign * (exitValue - last.totalVolume) -
+      fee * (last.totalVolume + exitValue)
+    );
+  };
+
+  const describe = (candle, price) => {
+    const pnl = dealPnl(deal, price);
+    return {
+      openedAt: new Date(deal.openedAt).toISOString(),
+      entryPrice: deal.entryPrice,
+      averagePrice: deal.last.averagePrice,
+      safetyOrdersFilled: deal.filled,
+      volume: deal.last.totalVolume,
+      quantity: deal.last.totalQuantity,
+      pnl: round(pnl),
+      pnlPercent: round((pnl / deal.last.totalVolume) * 100, 4),
+      durationMs: candle.time - deal.openedAt,
+    };
+  };
+
+  const closeDeal = (candle, price, exit) => {
+    const record = {
+      ...describe(candle, price),
+      closedAt: new Date(candle.time).toISOString(),
+      exitPrice: round(price),
+      exit,
+    };
+    deals.push(record);
+    realized += record.pnl;
+    timeInDealMs += record.durationMs;
+    maxCapitalUsed = Math.max(maxCapitalUsed, deal.last.totalVolume);
+    // A bot stopped by its stop loss opens no further deals
+    nextStart =
+      exit === "stop_loss" && stopBotOnStopLoss
+        ? Infinity
+        : candle.time + cooldownMs;
+    deal = null;
+  };
+
+  for (const candle of candles) {
+    if (!deal && candle.time >= nextStart) {
+      const ladder = buildLadder(ladderConfig, candle.open);
+      deal = {
+        openedAt: candle.time,
+        entryPrice: candle.open,
+        safetyOrders: ladder.safetyOrders,
+        last: ladder.baseOrder,
+        filled: 0,
+      };
+    }
+
+    if (deal) {
+      const adverse = long ? candle.low : candle.high;
+      const reached = (price) => sign * (adverse - price) <= 0;
+
+      // Against the deal, the nearer of stop loss and next safety order comes first
+      for (;;) {
+        const next = deal.safetyOrders[deal.filled];
+        const stopPrice =
+          stopLoss > 0
+            ? deal.last.averagePrice * (1 - (sign * stopLoss) / 100)
+            : null;
+
+        if (
+          stopPrice !== null &&
+          reached(stopPrice) &&
+          (!next || sign * (stopPrice - next.price) >= 0)
+        ) {
+          closeDeal(candle, stopPrice, "stop_loss");
+          break;
+        }
+        if (!next || !reached(next.price)) break;
+        deal.last = next;
+        deal.filled += 1;
+      }
+    }
+
+    if (deal) {
+      const favourable = long ? candle.high : candle.low;
+      const takeProfit = deal.last.takeProfitPrice;
+      if (sign * (favourable - takeProfit) >= 0) {
+        closeDeal(candle, takeProfit, "take_profit");
+      }
+    }
+
+    const equity = realized + (deal ? dealPnl(deal, candle.close) : 0);
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, peak - equity);
+  }
+
+  const lastCandle = candles[candles.length - 1];
+  let openDeal = null;
+  if (deal) {
+    openDeal = describe(lastCandle, lastCandle.close);
+    timeInDealMs += openDeal.durationMs;
+    maxCapitalUsed = Math.max(maxCapitalUsed, deal.last.totalVolume);
+  }
+
+  const capitalRequired = maxCapital(ladderConfig);
+  const periodMs = lastCandle.time - candles[0].time;
+  const winning = deals.filter((d) => d.pnl > 0).length;
+
+  return {
+    summary: {
+      candles: candles.length,
+      from: new Date(candles[0].time).toISOString(),
+      to: new Date(lastCandle.time).toISOString(),
+      totalDeals: deals.length,
+      winningDeals: winning,
+      losingDeals: deals.length - winning,
+      winRate: deals.length ? round((winning / deals.length) * 100, 2) : 0,
+      takeProfitExits: deals.filter((d) => d.exit === "take_profit").length,
+      stopLossExits: deals.filter((d) => d.exit === "stop_loss").length,
+      totalPnl: round(realized),
+      unrealizedPnl: openDeal ? openDeal.pnl : 0,
+      returnOnCapitalPercent: round((realized / capitalRequired) * 100, 4),
+      maxDrawdown: round(maxDrawdown),
+      maxDrawdownPercent: round((maxDrawdown / capitalRequired) * 100, 4),
+      maxCapitalRequired: round(capitalRequired),
+      maxCapitalUsed: round(maxCapitalUsed),
+      maxSafetyOrdersUsed: deals.reduce(
+        (max, d) => Math.max(max, d.safetyOrdersFilled),
+        openDeal ? openDeal.safetyOrdersFilled : 0
+      ),
+      timeInDealMs,
+      timeInDealPercent: periodMs
+        ? round((timeInDealMs / periodMs) * 100, 2)
+        : 0,
+      averageDealDurationMs: deals.length
+        ? Math.round(
+            deals.reduce((total, d) => total + d.durationMs, 0) / deals.length
+          )
+        : 0,
+    },
+    deals,
+    openDeal,
+  };
+};
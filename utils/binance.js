@@ -0,0 +1,189 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const config = require("../config");
+const { BinanceError } = require("./errors");
+
+const QUOTE_ASSET = "USDT";
+const MAX_TRADES_LIMIT = 1000;
+const PRICE_CACHE_TTL = 10000;
+
+const binance = axios.create({
+  baseURL: config.binance.baseUrl,
+  timeout: config.binance.timeout,
+});
+
+function toBinanceError(error) {
+  const data = error?.response?.data;
+  return new BinanceError(data?.msg || error.message || "Binance error", {
+    status: error?.response?.status || 0,
+    code: data?.code,
+    raw: data || null,
+  });
+}
+
+// Binance HMAC signature; also used for the futures API
+function signQuery(params, apiSecret) {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) query.append(key, value);
+  });
+  query.append("recvWindow", String(config.binance.recvWindow));
+  query.append("timestamp", String(Date.now()));
+
+  const signature = crypto
+    .createHmac("sha256", apiSecret)
+    .update(query.toString())
+    .digest("hex");
+  return `${query.toString()}&signature=${signature}`;
+}
+
+async function signedGet(endpoint, params, { apiKey, apiSecret }) {
+  try {
+    const response = await binance.get(
+      `${endpoint}?${signQuery(params, apiSecret)}`,
+      { headers: { "X-MBX-APIKEY": apiKey } }
+    );
+    return response.data;
+  } catch (error) {
+    throw toBinanceError(error);
+  }
+}
+
+async function publicGet(endpoint, params) {
+  try {
+    const response = await binance.get(endpoint, { params });
+    return response.data;
+  } catch (error) {
+    throw toBinanceError(error);
+  }
+}
+
+exports.signQuery = signQuery;
+
+exports.getAccount = (credentials) =>
+  signedGet("/api/v3/account", { omitZeroBalances: true }, credentials);
+
+// Symbols with their status and order filters (large; callers should cache)
+exports.getExchangeInfo = () =>
+  publicGet("/api/v3/exchangeInfo", { permissions: "SPOT" });
+
+// Our pairs are written BTC_USDT, Binance symbols BTCUSDT
+exports.toBinanceSymbol = (pair) =>
+  String(pair || "")
+    .replace(/[_/-]/g, "")
+    .toUpperCase();
+
+function normalizeTrade(trade) {
+  return {
+    id: trade.id,
+    orderId: trade.orderId,
+    symbol: trade.symbol,
+    side: trade.isBuyer ? "buy" : "sell",
+    price: parseFloat(trade.price),
+    qty: parseFloat(trade.qty),
+    quoteQty: parseFloat(trade.quoteQty),
+    commission: parseFloat(trade.commission),
+    commissionAsset: trade.commissionAsset,
+    isBuyer: trade.isBuyer,
+    isMaker: trade.isMaker,
+    time: new Date(trade.time),
+  };
+}
+
+// Account fills for one symbol, oldest first. Binance accepts either fromId or
+// a startTime/endTime window (max 24h), not both.
+exports.getMyTrades = async (
+  credentials,
+  { symbol, startTime, endTime, fromId, limit }
+) => {
+  const trades = await signedGet(
+    "/api/v3/myTrades",
+    {
+      symbol,
+      startTime,
+      endTime,
+      fromId,
+      limit: Math.min(limit || 500, MAX_TRADES_LIMIT),
+    },
+    credentials
+  );
+  return trades.map(normalizeTrade);
+};
+
+let priceCache = { at: 0, prices: null };
+
+// Last price for every symbol, e.g. { BTCUSDT: 65000.1, ETHBTC: 0.05 }
+exports.getTickerPrices = async () => {
+  if (priceCache.prices && Date.now() - priceCache.at < PRICE_CACHE_TTL) {
+    return priceCache.prices;
+  }
+
+  const tickers = await publicGet("/api/v3/ticker/price");
+  const prices = {};
+  tickers.forEach((ticker) => {
+    prices[ticker.symbol] = parseFloat(ticker.price);
+  });
+
+  priceCache = { at: Date.now(), prices };
+  return prices;
+};
+
+function directPriceInUsdt(asset, prices) {
+  if (asset === QUOTE_ASSET) return 1;
+  if (prices[`${asset}${QUOTE_ASSET}`]) {
+    return prices[`${asset}${QUOTE_ASSET}`];
+  }
+  if (prices[`${QUOTE_ASSET}${asset}`]) {
+    return 1 / prices[`${QUOTE_ASSET}${asset}`];
+  }
+  if (prices[`${asset}BTC`] && prices[`BTC${QUOTE_ASSET}`]) {
+    return prices[`${asset}BTC`] * prices[`BTC${QUOTE_ASSET}`];
+  }
+  return null;
+}
+
+// USDT price of an asset, going through BTC when there is no direct USDT market
+exports.priceInUsdt = (asset, prices) => {
+  const price = directPriceInUsdt(asset, prices);
+  // Simple Earn balances are reported as LD<ASSET>
+  if (price === null && asset.startsWith("LD") && asset.length > 2) {
+    return directPriceInUsdt(asset.slice(2), prices);
+  }
+  return price;
+};
+
+// Non-zero balances valued in USDT, largest first
+exports.getValuedBalances = async (credentials) => {
+  const [account, prices] = await Promise.all([
+    exports.getAccount(credentials),
+    exports.getTickerPrices(),
+  ]);
+
+  const balances = (account.balances || [])
+    .map((balance) => {
+      const free = parseFloat(balance.free);
+      const locked = parseFloat(balance.locked);
+      const total = free + locked;
+      const priceUsdt = exports.priceInUsdt(balance.asset, prices);
+      return {
+        asset: balance.asset,
+        free,
+        locked,
+        total,
+        priceUsdt,
+        usdtValue: priceUsdt === null ? null : total * priceUsdt,
+      };
+    })
+    .filter((balance) => balance.total > 0)
+    .sort((a, b) => (b.usdtValue || 0) - (a.usdtValue || 0));
+
+  return {
+    balances,
+    totalUsdtValue: balances.reduce((sum, b) => sum + (b.usdtValue || 0), 0),
+    unpricedAssets: balances
+      .filter((b) => b.usdtValue === null)
+      .map((b) => b.asset),
+    canTrade: account.canTrade,
+    updateTime: account.updateTime,
+  };
+};
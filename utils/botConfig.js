@@ -0,0 +1,585 @@
+// Mapping between our camelCase bot configuration and the 3Commas bot schema
+
+const { parseStartConditions, toStrategyList } = require("./startConditions");
+const { checkStopLoss, toLadderConfig } = require("./dcaLadder");
+const {
+  parseTakeProfitSteps,
+  toThreeCommasSteps,
+} = require("./takeProfitSteps");
+
+const PAIR_FORMAT = /^[A-Z0-9]+_[A-Z0-9]+$/;
+const MAX_BOT_PAIRS = 100;
+
+const quoteOf = (pair) => pair.split("_")[1];
+
+// Our stop-loss actions and the 3Commas stop_loss_type they map to
+const STOP_LOSS_TYPES = {
+  closeDeal: "stop_loss",
+  closeDealAndStopBot: "stop_loss_and_disable_bot",
+};
+
+/**
+ * Check a multi-pair list: well-formed, unique, one quote currency.
+ * @returns {string|null} error message, or null when valid
+ */
+function pairListError(pairs) {
+  if (!Array.isArray(pairs) || pairs.length === 0) {
+    return "must be a non-empty list of pairs";
+  }
+  if (pairs.length > MAX_BOT_PAIRS) {
+    return `must have at most ${MAX_BOT_PAIRS} pairs`;
+  }
+  const invalid = pairs.find(
+    (pair) => typeof pair !== "string" || !PAIR_FORMAT.test(pair)
+  );
+  if (invalid !== undefined) {
+    return `contains an invalid pair (${invalid}). Use format like BTC_USDT, ETH_USDT`;
+  }
+  if (new Set(pairs).size !== pairs.length) {
+    return "contains duplicate pairs";
+  }
+  if (new Set(pairs.map(quoteOf)).size > 1) {
+    return "must all share the same quote currency";
+  }
+  return null;
+}
+
+// Pairs list from createBot-style params: pairs when given, else [pair]
+const resolvePairs = ({ pair, pairs }) =>
+  Array.isArray(pairs) && pairs.length > 0 ? pairs : pair ? [pair] : [];
+
+const numberField =
+  ({ min, max, integer = false, exclusiveMin = false }) =>
+  (value) => {
+    const number = Number(value);
+    if (value === null || value === "" || !Number.isFinite(number)) {
+      return { error: "must be a number" };
+    }
+    if (integer && !Number.isInteger(number)) {
+      return { error: "must be a whole number" };
+    }
+    if (min !== undefined && (exclusiveMin ? number <= min : number < min)) {
+      return {
+        error: exclusiveMin
+          ? `must be greater than ${min}`
+          : `must be at least ${min}`,
+      };
+    }
+    if (max !== undefined && number > max) {
+      return { error: `must be at most ${max}` };
+    }
+    return { value: number };
+  };
+
+const enumField = (options) => (value) =>
+  options.includes(value)
+    ? { value }
+    : { error: `must be one of: ${options.join(", ")}` };
+
+const booleanField = (value) =>
+  typeof value === "boolean" ? { value } : { error: "must be true or false" };
+
+const stringField =
+  ({ maxLength, pattern, patternMessage }) =>
+  (value) => {
+    if (typeof value !== "string" || value.trim() === "") {
+      return { error: "must be a non-empty string" };
+    }
+    if (maxLength && value.length > maxLength) {
+      return { error: `must be at most ${maxLength} characters` };
+    }
+    if (pattern && !pattern.test(value)) {
+      return { error: patternMessage };
+    }
+    return { value: value.trim() };
+  };
+
+// Fields a user may change after creation, with their 3Commas names
+const UPDATABLE_FIELDS = {
+  name: {
+    threeCommas: "name",
+    parse: stringField({ maxLength: 100 }),
+  },
+  pair: {
+    threeCommas: "pairs",
+    parse: stringField({
+      pattern: PAIR_FORMAT,
+      patternMessage: "must look like BTC_USDT",
+    }),
+  },
+  pairs: {
+    threeCommas: "pairs",
+    parse: (value) => {
+      const error = pairListError(value);
+      return error ? { error } : { value: [...value] };
+    },
+  },
+  maxActiveDeals: {
+    threeCommas: "max_active_deals",
+    parse: numberField({ min: 1, max: MAX_BOT_PAIRS, integer: true }),
+  },
+  profitCurrency: {
+    threeCommas: "profit_currency",
+    parse: enumField(["quote", "base"]),
+  },
+  baseOrderSize: {
+    threeCommas: "base_order_volume",
+    parse: numberField({ min: 0, exclusiveMin: true }),
+  },
+  startOrderType: {
+    threeCommas: "start_order_type",
+    parse: enumField(["market", "limit"]),
+  },
+  takeProfitType: {
+    threeCommas: "take_profit_type",
+    parse: enumField(["total", "step"]),
+  },
+  targetProfitPercent: {
+    threeCommas: "take_profit",
+    parse: numberField({ min: 0, max: 100, exclusiveMin: true }),
+  },
+  takeProfitSteps: {
+    threeCommas: "take_profit_steps",
+    parse: (value) => parseTakeProfitSteps(value),
+  },
+  trailingEnabled: {
+    threeCommas: "trailing_enabled",
+    parse: booleanField,
+  },
+  trailingDeviation: {
+    threeCommas: "trailing_deviation",
+    parse: numberField({ min: 0.1, max: 100 }),
+  },
+  safetyOrderVolume: {
+    threeCommas: "safety_order_volume",
+    parse: numberField({ min: 0, exclusiveMin: true }),
+  },
+  maxSafetyOrders: {
+    threeCommas: "max_safety_orders",
+    parse: numberField({ min: 1, max: 25, integer: true }),
+  },
+  safetyOrderStepPercentage: {
+    threeCommas: "safety_order_step_percentage",
+    parse: numberField({ min: 0.1, max: 50 }),
+  },
+  safetyOrderType: {
+    threeCommas: "safety_order_type",
+    parse: enumField(["market", "limit"]),
+  },
+  activeSafetyOrdersCount: {
+    threeCommas: "active_safety_orders_count",
+    parse: numberField({ min: 1, max: 25, integer: true }),
+  },
+  martingaleVolumeCoefficient: {
+    threeCommas: "martingale_volume_coefficient",
+    parse: numberField({ min: 0.1, max: 10 }),
+  },
+  martingaleStepCoefficient: {
+    threeCommas: "martingale_step_coefficient",
+    parse: numberField({ min: 0.1, max: 10 }),
+  },
+  stopLossPercentage: {
+    threeCommas: "stop_loss_percentage",
+    parse: numberField({ min: 0, max: 100 }),
+  },
+  trailingStopLossEnabled: {
+    threeCommas: "tsl_enabled",
+    parse: booleanField,
+  },
+  stopLossAction: {
+    threeCommas: "stop_loss_type",
+    parse: enumField(Object.keys(STOP_LOSS_TYPES)),
+  },
+  stopLossTimeout: {
+    threeCommas: "stop_loss_timeout_in_seconds",
+    parse: numberField({ min: 0, integer: true }),
+  },
+  cooldown: {
+    threeCommas: "cooldown",
+    parse: numberField({ min: 0, integer: true }),
+  },
+  startConditions: {
+    threeCommas: "strategy_list",
+    parse: (value) => parseStartConditions(value),
+  },
+  note: {
+    threeCommas: "note",
+    parse: (value) =>
+      typeof value === "string" && value.length <= 1000
+        ? { value }
+        : { error: "must be a string of at most 1000 characters" },
+  },
+};
+
+// Set at creation and fixed afterwards
+const IMMUTABLE_FIELDS = ["strategy", "botType", "exchangeId"];
+
+// Fields the client may send but that are ignored rather than rejected
+const IGNORED_FIELDS = ["userId"];
+
+// Fields that make an update re-check a step bot's take profit steps
+const TAKE_PROFIT_FIELDS = [
+  "takeProfitType",
+  "takeProfitSteps",
+  "targetProfitPercent",
+];
+
+/**
+ * Validate an update request body against the whitelist.
+ * @param {Object} body - camelCase fields from the client
+ * @param {Object} [bot] - Bot being updated, for checks that depend on its type
+ * @returns {{ changes: Object, errors: Object }} parsed values and
+ *   per-field error messages (empty when valid)
+ */
+exports.parseBotUpdate = (body = {}, bot) => {
+  const changes = {};
+  const errors = {};
+
+  for (const [field, value] of Object.entries(body)) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    if (IMMUTABLE_FIELDS.includes(field)) {
+      errors[field] = "cannot be changed after the bot is created";
+      continue;
+    }
+
+    if (!Object.hasOwn(UPDATABLE_FIELDS, field)) {
+      errors[field] = "is not an updatable field";
+      continue;
+    }
+
+    const result = UPDATABLE_FIELDS[field].parse(value);
+    if (result.error) {
+      errors[field] = result.error;
+    } else {
+      changes[field] = result.value;
+    }
+  }
+
+  if (bot) {
+    const multi = bot.botType === "multi";
+    if (!multi && changes.pairs?.length > 1) {
+      errors.pairs = "only multi bots can trade more than one pair";
+    }
+    if (!multi && changes.maxActiveDeals > 1) {
+      errors.maxActiveDeals = "only multi bots can have more than one deal";
+    }
+    if (multi && changes.pair && !changes.pairs) {
+      errors.pair = "use pairs to change the pairs of a multi bot";
+    }
+    // Step bots take their target from the last step; total bots have no steps.
+    // Step bots created before steps existed keep working until an update
+    // touches their take profit.
+    const takeProfitType = changes.takeProfitType ?? bot.takeProfitType;
+    const touchesTakeProfit = TAKE_PROFIT_FIELDS.some(
+      (field) => field in changes
+    );
+    if (takeProfitType === "step") {
+      if (changes.targetProfitPercent !== undefined) {
+        errors.targetProfitPercent =
+          "is set by the last take profit step on step bots";
+      }
+      const steps = changes.takeProfitSteps ?? bot.takeProfitSteps ?? [];
+      if (steps.length === 0 && touchesTakeProfit) {
+        errors.takeProfitSteps = "are required when takeProfitType is step";
+      } else if (changes.takeProfitSteps) {
+        changes.targetProfitPercent = steps[steps.length - 1].profitPercent;
+      }
+    } else if (changes.takeProfitSteps?.length) {
+      errors.takeProfitSteps = "need takeProfitType step";
+    } else if (changes.takeProfitType && bot.takeProfitSteps?.length) {
+      changes.takeProfitSteps = [];
+    }
+
+    // TradingView ratings must match the bot's direction
+    if (changes.startConditions) {
+      const { error } = parseStartConditions(
+        changes.startConditions,
+        bot.strategy
+      );
+      if (error) errors.startConditions = error;
+    }
+
+    // Active safety orders can never exceed the maximum. When only the
+    // maximum changes, a bot that placed all of them keeps doing so.
+    const maxSafetyOrders = changes.maxSafetyOrders ?? bot.maxSafetyOrders;
+    const currentActive = bot.activeSafetyOrdersCount ?? bot.maxSafetyOrders;
+    if (changes.activeSafetyOrdersCount !== undefined) {
+      if (changes.activeSafetyOrdersCount > maxSafetyOrders) {
+        errors.activeSafetyOrdersCount = `must be at most maxSafetyOrders (${maxSafetyOrders})`;
+      }
+    } else if (changes.maxSafetyOrders !== undefined) {
+      changes.activeSafetyOrdersCount =
+        currentActive === bot.maxSafetyOrders
+          ? maxSafetyOrders
+          : Math.min(currentActive, maxSafetyOrders);
+    }
+  }
+
+  // Keep pair as the first entry of pairs
+  if (changes.pairs) {
+    changes.pair = changes.pairs[0];
+  } else if (changes.pair) {
+    changes.pairs = [changes.pair];
+  }
+
+  return { changes, errors };
+};
+
+const isValidEnum = (val, options) => options.includes(val);
+
+/**
+ * Validate createBot parameters.
+ * @param {Object} params - createBot request fields
+ * @param {Object} [options]
+ * @param {boolean} [options.template] - Templates have no bot name and the
+ *   pair is optional
+ * @returns {string|null} error message, or null when valid
+ */
+exports.validateBotParams = (params, { template = false } = {}) => {
+  const {
+    botName,
+    direction,
+    botType,
+    pair,
+    pairs,
+    maxActiveDeals,
+    profitCurrency,
+    baseOrderSize,
+    startOrderType,
+    takeProfitType,
+    targetProfitPercent,
+    takeProfitSteps,
+    maxSafetyOrders,
+    safetyOrderType,
+    activeSafetyOrdersCount,
+    martingaleVolumeCoefficient,
+    martingaleStepCoefficient,
+    trailingEnabled,
+    trailingDeviation,
+    stopLossPercentage,
+    trailingStopLossEnabled,
+    stopLossAction,
+    stopLossTimeout,
+    startConditions,
+  } = params;
+
+  if (
+    (!template && (!botName || !(pair || pairs))) ||
+    !direction ||
+    !botType ||
+    !profitCurrency ||
+    !baseOrderSize ||
+    !startOrderType ||
+    !takeProfitType ||
+    !(targetProfitPercent || takeProfitSteps)
+  ) {
+    return "All required fields are missing. Please check your input.";
+  }
+
+  // Validate pair format (e.g., BTC_USDT, ETH_USDT)
+  if (pair && !PAIR_FORMAT.test(pair)) {
+    return "Invalid pair format. Use format like BTC_USDT, ETH_USDT";
+  }
+
+  if (!isValidEnum(direction, ["long", "short"])) {
+    return "Direction must be 'long' or 'short'";
+  }
+
+  if (!isValidEnum(botType, ["single", "multi"])) {
+    return "Bot type must be 'single' or 'multi'";
+  }
+
+  if (pairs !== undefined) {
+    const pairsError = pairListError(pairs);
+    if (pairsError) return `pairs ${pairsError}`;
+    if (botType === "single" && pairs.length > 1) {
+      return "Only multi bots can trade more than one pair";
+    }
+  }
+
+  if (maxActiveDeals !== undefined) {
+    if (!Number.isInteger(Number(maxActiveDeals)) || maxActiveDeals < 1) {
+      return "maxActiveDeals must be a whole number of at least 1";
+    }
+    if (botType === "single" && maxActiveDeals > 1) {
+      return "Only multi bots can have more than one active deal";
+    }
+  }
+
+  if (!isValidEnum(profitCurrency, ["quote", "base"])) {
+    return "Profit currency must be 'quote' or 'base'";
+  }
+
+  if (!isValidEnum(startOrderType, ["market", "limit"])) {
+    return "Start order type must be 'market' or 'limit'";
+  }
+
+  if (!isValidEnum(takeProfitType, ["total", "step"])) {
+    return "Take profit type must be 'total' or 'step'";
+  }
+
+  // Validate numeric values
+  if (baseOrderSize <= 0) {
+    return "Base order size must be greater than 0";
+  }
+
+  if (targetProfitPercent <= 0 || targetProfitPercent > 100) {
+    return "Target profit percentage must be between 0 and 100";
+  }
+
+  let finalTakeProfit = targetProfitPercent;
+  if (takeProfitSteps !== undefined) {
+    const { value, error } = parseTakeProfitSteps(takeProfitSteps);
+    if (error) return `Invalid takeProfitSteps: ${error}`;
+    if (takeProfitType !== "step") {
+      return "takeProfitSteps need takeProfitType 'step'";
+    }
+    finalTakeProfit = value[value.length - 1].profitPercent;
+  } else if (takeProfitType === "step") {
+    return "Take profit type 'step' needs takeProfitSteps";
+  }
+
+  if (
+    safetyOrderType !== undefined &&
+    !isValidEnum(safetyOrderType, ["market", "limit"])
+  ) {
+    return "Safety order type must be 'market' or 'limit'";
+  }
+
+  if (activeSafetyOrdersCount !== undefined) {
+    const max = maxSafetyOrders || 5;
+    if (
+      !Number.isInteger(Number(activeSafetyOrdersCount)) ||
+      activeSafetyOrdersCount < 1 ||
+      activeSafetyOrdersCount > max
+    ) {
+      return `Active safety orders must be a whole number between 1 and max safety orders (${max})`;
+    }
+  }
+
+  for (const [label, value] of [
+    ["Martingale volume coefficient", martingaleVolumeCoefficient],
+    ["Martingale step coefficient", martingaleStepCoefficient],
+  ]) {
+    if (value !== undefined && !(Number(value) >= 0.1 && Number(value) <= 10)) {
+      return `${label} must be between 0.1 and 10`;
+    }
+  }
+
+  for (const [field, value] of [
+    ["trailingEnabled", trailingEnabled],
+    ["trailingStopLossEnabled", trailingStopLossEnabled],
+  ]) {
+    if (value !== undefined && typeof value !== "boolean") {
+      return `${field} must be true or false`;
+    }
+  }
+
+  // Sent to 3Commas and stored even while trailing is off
+  if (
+    trailingDeviation !== undefined &&
+    !(Number(trailingDeviation) >= 0.1 && Number(trailingDeviation) <= 100)
+  ) {
+    return "Trailing deviation must be between 0.1 and 100";
+  }
+
+  if (trailingEnabled) {
+    const deviation = Number(trailingDeviation ?? 0.2);
+    if (!(deviation >= 0.1 && deviation < finalTakeProfit)) {
+      return "Trailing deviation must be at least 0.1 and below the target profit percentage";
+    }
+  }
+
+  if (trailingStopLossEnabled && !(Number(stopLossPercentage) > 0)) {
+    return "Trailing stop loss needs a stop loss percentage above 0";
+  }
+
+  if (
+    stopLossAction !== undefined &&
+    !isValidEnum(stopLossAction, Object.keys(STOP_LOSS_TYPES))
+  ) {
+    return "Stop loss action must be 'closeDeal' or 'closeDealAndStopBot'";
+  }
+
+  if (
+    stopLossTimeout !== undefined &&
+    !(Number.isInteger(Number(stopLossTimeout)) && stopLossTimeout >= 0)
+  ) {
+    return "Stop loss timeout must be a whole number of seconds";
+  }
+
+  if (Number(stopLossPercentage) > 0) {
+    const { error } = checkStopLoss(
+      toLadderConfig(params),
+      Number(stopLossPercentage)
+    );
+    if (error) return error;
+  }
+
+  if (startConditions !== undefined) {
+    const { error } = parseStartConditions(startConditions, direction);
+    if (error) return `Invalid startConditions: ${error}`;
+  }
+
+  return null;
+};
+
+// The updatable part of a bot, stored in version snapshots
+exports.pickBotConfig = (bot) => {
+  const config = {};
+  for (const field of Object.keys(UPDATABLE_FIELDS)) {
+    const value = bot[field];
+    if (value !== undefined) {
+      config[field] = Array.isArray(value)
+        ? value.map((item) => (item?.toObject ? item.toObject() : item))
+        : value;
+    }
+  }
+  config.pairs = resolvePairs(config);
+  return config;
+};
+
+/**
+ * Full 3Commas update payload for a bot. The bot update endpoint expects the
+ * complete configuration, not only the changed fields.
+ * @param {Object} bot - Bot document or plain config with camelCase fields
+ */
+exports.toThreeCommasUpdate = (bot) => ({
+  name: bot.name,
+  pairs: resolvePairs(bot),
+  max_active_deals: bot.maxActiveDeals || 1,
+  base_order_volume: bot.baseOrderSize,
+  base_order_volume_type: "quote_currency",
+  start_order_type: bot.startOrderType,
+  take_profit: bot.targetProfitPercent,
+  take_profit_type: bot.takeProfitType,
+  take_profit_steps:
+    bot.takeProfitType === "step"
+      ? toThreeCommasSteps(bot.takeProfitSteps)
+      : [],
+  trailing_enabled: Boolean(bot.trailingEnabled),
+  trailing_deviation: bot.trailingDeviation ?? 0.2,
+  profit_currency: bot.profitCurrency,
+  safety_order_type: bot.safetyOrderType || "market",
+  safety_order_volume: bot.safetyOrderVolume,
+  safety_order_volume_type: "quote_currency",
+  max_safety_orders: bot.maxSafetyOrders,
+  active_safety_orders_count:
+    bot.activeSafetyOrdersCount ?? bot.maxSafetyOrders,
+  safety_order_step_percentage: bot.safetyOrderStepPercentage,
+  martingale_volume_coefficient: bot.martingaleVolumeCoefficient ?? 1.0,
+  martingale_step_coefficient: bot.martingaleStepCoefficient ?? 1.0,
+  stop_loss_percentage: bot.stopLossPercentage,
+  stop_loss_type: STOP_LOSS_TYPES[bot.stopLossAction] || "stop_loss",
+  stop_loss_timeout_enabled: bot.stopLossTimeout > 0,
+  stop_loss_timeout_in_seconds: bot.stopLossTimeout || 0,
+  tsl_enabled: Boolean(bot.trailingStopLossEnabled),
+  cooldown: bot.cooldown,
+  note: bot.note,
+  strategy_list: toStrategyList(bot.startConditions),
+});
+
+exports.UPDATABLE_FIELDS = Object.keys(UPDATABLE_FIELDS);
+exports.STOP_LOSS_TYPES = STOP_LOSS_TYPES;
+exports.resolvePairs = resolvePairs;
@@ -0,0 +1,189 @@
+// DCA ladder math: safety order prices and volumes with martingale scaling
+
+const round = (value, decimals = 8) =>
+  Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const LADDER_FIELDS = [
+  "baseOrderSize",
+  "targetProfitPercent",
+  "safetyOrderVolume",
+  "maxSafetyOrders",
+  "safetyOrderStepPercentage",
+  "activeSafetyOrdersCount",
+  "martingaleVolumeCoefficient",
+  "martingaleStepCoefficient",
+];
+
+// Ladder input from createBot params or a Bot document. Request params
+// arrive as strings or numbers; Bot documents are already cast.
+exports.toLadderConfig = (config) => {
+  const ladder = { direction: config.strategy || config.direction || "long" };
+  for (const field of LADDER_FIELDS) {
+    if (config[field] !== undefined && config[field] !== null) {
+      ladder[field] = Number(config[field]);
+    }
+  }
+  return ladder;
+};
+
+/**
+ * Volume and cumulative price deviation of each safety order.
+ * The n-th order's volume is safetyOrderVolume * volumeCoefficient^(n-1);
+ * its step from the previous order is step * stepCoefficient^(n-1).
+ * @param {Object} config - camelCase bot configuration
+ * @returns {Array<{index: number, stepPercent: number, deviationPercent: number, volume: number}>}
+ */
+function safetyOrderSteps(config) {
+  const {
+    baseOrderSize,
+    safetyOrderVolume = baseOrderSize,
+    maxSafetyOrders = 5,
+    safetyOrderStepPercentage = 2.0,
+    martingaleVolumeCoefficient = 1.0,
+    martingaleStepCoefficient = 1.0,
+  } = config;
+
+  const steps = [];
+  let deviation = 0;
+  for (let i = 0; i < maxSafetyOrders; i++) {
+    const step = safetyOrderStepPercentage * martingaleStepCoefficient ** i;
+    deviation += step;
+    steps.push({
+      index: i + 1,
+      stepPercent: step,
+      deviationPercent: deviation,
+      volume: safetyOrderVolume * martingaleVolumeCoefficient ** i,
+    });
+  }
+  return steps;
+}
+
+// Quote currency needed if the base order and every safety order fill
+exports.maxCapital = (config) =>
+  safetyOrderSteps(config).reduce(
+    (total, order) => total + order.volume,
+    config.baseOrderSize
+  );
+
+/**
+ * Full ladder for an entry price: every fill's price, volume, running average
+ * entry and the take-profit price once it has filled.
+ * @param {Object} config - camelCase bot configuration
+ * @param {number} entryPrice - Price the base order fills at
+ * @returns {{ baseOrder: Object, safetyOrders: Object[], summary: Object }}
+ */
+exports.buildLadder = (config, entryPrice) => {
+  const {
+    direction = "long",
+    baseOrderSize,
+    targetProfitPercent,
+    maxSafetyOrders = 5,
+    activeSafetyOrdersCount = maxSafetyOrders,
+  } = config;
+  const sign = direction === "short" ? 1 : -1;
+
+  let totalVolume = 0;
+  let totalQuantity = 0;
+
+  const fill = (price, volume) => {
+    totalVolume += volume;
+    totalQuantity += volume / price;
+    const averagePrice = totalVolume / totalQuantity;
+    const takeProfitPrice =
+      averagePrice * (1 - (sign * targetProfitPercent) / 100);
+    return {
+      price: round(price),
+      volume: round(volume),
+      quantity: round(volume / price),
+      totalVolume: round(totalVolume),
+      totalQuantity: round(totalQuantity),
+      averagePrice: round(averagePrice),
+      takeProfitPrice: round(takeProfitPrice),
+      // Move needed from this fill's price to reach take profit
+      priceChangeToTakeProfitPercent: round(
+        Math.abs(takeProfitPrice / price - 1) * 100,
+        4
+      ),
+    };
+  };
+
+  const baseOrder = fill(entryPrice, baseOrderSize);
+
+  const safetyOrders = safetyOrderSteps(config).map((order) => ({
+    index: order.index,
+    stepPercent: round(order.stepPercent, 4),
+    deviationPercent: round(order.deviationPercent, 4),
+    ...fill(
+      entryPrice * (1 + (sign * order.deviationPercent) / 100),
+      order.volume
+    ),
+  }));
+
+  const last = safetyOrders[safetyOrders.length - 1];
+  const reservedCapital = safetyOrders
+    .slice(0, activeSafetyOrdersCount)
+    .reduce((total, order) => total + order.volume, baseOrderSize);
+
+  return {
+    baseOrder,
+    safetyOrders,
+    summary: {
+      maxCapital: round(last ? last.totalVolume : baseOrderSize),
+      // Placed on the exchange as soon as the deal opens
+      reservedCapital: round(reservedCapital),
+      maxDeviationPercent: last ? last.deviationPercent : 0,
+      lastSafetyOrderPrice: last ? last.price : null,
+      finalAveragePrice: last ? last.averagePrice : baseOrder.averagePrice,
+      finalTakeProfitPrice: last
+        ? last.takeProfitPrice
+        : baseOrder.takeProfitPrice,
+    },
+  };
+};
+
+/**
+ * How many safety orders can fill before the stop loss closes the deal. The
+ * stop loss sits stopLossPercentage away from the average price so far.
+ * @param {Object} config - camelCase bot configuration
+ * @param {number} stopLossPercentage - 0 means no stop loss
+ * @returns {number} between 0 and maxSafetyOrders
+ */
+function safetyOrdersBeforeStopLoss(config, stopLossPercentage) {
+  const { safetyOrders, baseOrder } = exports.buildLadder(
+    { targetProfitPercent: 0, ...config },
+    100
+  );
+  if (!(stopLossPercentage > 0)) return safetyOrders.length;
+
+  const sign = config.direction === "short" ? -1 : 1;
+  let average = baseOrder.averagePrice;
+  for (const [i, order] of safetyOrders.entries()) {
+    const stopPrice = average * (1 - (sign * stopLossPercentage) / 100);
+    if (sign * (stopPrice - order.price) >= 0) return i;
+    average = order.averagePrice;
+  }
+  return safetyOrders.length;
+}
+
+/**
+ * Check a stop loss against the safety order ladder. Firing before the first
+ * safety order is an error; cutting off later safety orders only a warning.
+ * @returns {{ reachableSafetyOrders: number, error?: string, warning?: string }}
+ */
+exports.checkStopLoss = (config, stopLossPercentage) => {
+  const { maxSafetyOrders = 5, safetyOrderStepPercentage = 2.0 } = config;
+  const reachable = safetyOrdersBeforeStopLoss(config, stopLossPercentage);
+  const result = { reachableSafetyOrders: reachable };
+
+  if (reachable === 0 && maxSafetyOrders > 0) {
+    result.error = `Stop loss of ${stopLossPercentage}% triggers before the first safety order; raise it above ${safetyOrderStepPercentage}% or remove it`;
+  } else if (reachable < maxSafetyOrders) {
+    result.warning = `Stop loss of ${stopLossPercentage}% triggers before safety order ${
+      reachable + 1
+    }; only ${reachable} of ${maxSafetyOrders} safety orders can fill`;
+  }
+  return result;
+};
+
+exports.safetyOrderSteps = safetyOrderSteps;
+exports.LADDER_FIELDS = LADDER_FIELDS;
@@ -0,0 +1,109 @@
+// Typed errors raised by the 3Commas and Binance clients. Each carries the HTTP
+// status our routes should answer with, so every controller maps upstream
+// failures the same way.
+
+class ThreeCommasError extends Error {
+  constructor(message, { status, code, description, attributes, raw } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status || 0; // Status returned by 3Commas (0 = no response)
+    this.code = code || null; // 3Commas `error`
+    this.description = description || null; // 3Commas `error_description`
+    this.attributes = attributes || null; // 3Commas `error_attributes`
+    this.raw = raw || null;
+    this.statusCode = 502; // Status we respond with
+  }
+
+  toJSON() {
+    return {
+      error: this.code,
+      error_description: this.description || this.message,
+      error_attributes: this.attributes,
+    };
+  }
+}
+
+// 400/422: 3Commas rejected the payload (record_invalid, bad pair, ...)
+class ThreeCommasValidationError extends ThreeCommasError {
+  constructor(message, details) {
+    super(message, details);
+    this.statusCode = 400;
+  }
+}
+
+// 401/403: our platform API key or signature was refused
+class ThreeCommasAuthError extends ThreeCommasError {
+  constructor(message, details) {
+    super(message, details);
+    this.statusCode = 502;
+  }
+}
+
+// 404: bot, deal or account does not exist in 3Commas
+class ThreeCommasNotFoundError extends ThreeCommasError {
+  constructor(message, details) {
+    super(message, details);
+    this.statusCode = 404;
+  }
+}
+
+// 429 after all retries were used up
+class ThreeCommasRateLimitError extends ThreeCommasError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.statusCode = 429;
+    this.retryAfter = details.retryAfter || null; // Seconds
+  }
+}
+
+// 5xx, timeouts and network failures
+class ThreeCommasUnavailableError extends ThreeCommasError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.statusCode = details.timeout ? 504 : 502;
+  }
+}
+
+// Binance rejected a signed or public request. Key/permission problems are the
+// user's to fix (400); bans and rate limits become 429; anything else is 502.
+class BinanceError extends Error {
+  constructor(message, { status, code, raw } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status || 0;
+    this.code = code ?? null; // Binance error code, e.g. -2015
+    this.raw = raw || null;
+
+    if (status === 429 || status === 418) {
+      this.statusCode = 429;
+    } else if (status >= 400 && status < 500) {
+      this.statusCode = 400;
+    } else {
+      this.statusCode = 502;
+    }
+  }
+
+  toJSON() {
+    return { code: this.code, msg: this.message };
+  }
+}
+
+// Another exchange (Bybit, KuCoin, ...) refused a request. A BinanceError
+// subclass so statuses and error responses are mapped the same way.
+class ExchangeError extends BinanceError {
+  constructor(message, { exchange, ...details } = {}) {
+    super(message, details);
+    this.exchange = exchange || null;
+  }
+}
+
+module.exports = {
+  ThreeCommasError,
+  ThreeCommasValidationError,
+  ThreeCommasAuthError,
+  ThreeCommasNotFoundError,
+  ThreeCommasRateLimitError,
+  ThreeCommasUnavailableError,
+  BinanceError,
+  ExchangeError,
+};
@@ -0,0 +1,172 @@
+// Exchanges a user can connect: how to verify their API keys and which
+// 3Commas account type they become
+
+const axios = require("axios");
+const crypto = require("crypto");
+const config = require("../config");
+const binance = require("./binance");
+const { ExchangeError } = require("./errors");
+
+const hmac = (secret, payload, encoding) =>
+  crypto.createHmac("sha256", secret).update(payload).digest(encoding);
+
+// Signed GET against an exchange whose errors may come back with HTTP 200;
+// isOk tells success from an error body
+async function signedGet(exchange, { baseUrl, path, headers, isOk }) {
+  let response;
+  try {
+    response = await axios.get(`${baseUrl}${path}`, {
+      headers,
+      timeout: config.exchanges.timeout,
+    });
+  } catch (error) {
+    const data = error?.response?.data;
+    throw new ExchangeError(
+      data?.msg || data?.retMsg || data?.message || error.message,
+      {
+        exchange,
+        status: error?.response?.status || 0,
+        code: data?.code ?? data?.retCode,
+        raw: data || null,
+      }
+    );
+  }
+
+  const data = response.data;
+  if (!isOk(data)) {
+    throw new ExchangeError(
+      data?.msg || data?.retMsg || `${exchange} rejected the API key`,
+      { exchange, status: 401, code: data?.code ?? data?.retCode, raw: data }
+    );
+  }
+  return data;
+}
+
+// Per exchange: display name, 3Commas account type, whether a passphrase is
+// part of the API key, and a signed read-only request that proves the keys work
+const ADAPTERS = {
+  binance: {
+    name: "Binance",
+    threeCommasType: "binance",
+    requiresPassphrase: false,
+    // Wallet, balance and exchange-rule checks use the Binance spot API
+    binanceSpot: true,
+    verify: ({ apiKey, apiSecret }) =>
+      binance.getAccount({ apiKey, apiSecret }),
+  },
+  binance_futures: {
+    name: "Binance Futures",
+    threeCommasType: "binance_futures",
+    requiresPassphrase: false,
+    verify: ({ apiKey, apiSecret }) =>
+      signedGet("binance_futures", {
+        baseUrl: config.exchanges.binanceFutures.baseUrl,
+        path: `/fapi/v2/account?${binance.signQuery({}, apiSecret)}`,
+        headers: { "X-MBX-APIKEY": apiKey },
+        isOk: (data) => Boolean(data?.assets),
+      }),
+  },
+  bybit: {
+    name: "Bybit",
+    threeCommasType: "bybit_spot",
+    requiresPassphrase: false,
+    verify: ({ apiKey, apiSecret }) => {
+      const timestamp = String(Date.now());
+      const recvWindow = String(config.exchanges.recvWindow);
+      return signedGet("bybit", {
+        baseUrl: config.exchanges.bybit.baseUrl,
+        path: "/v5/user/query-api",
+        headers: {
+          "X-BAPI-API-KEY": apiKey,
+          "X-BAPI-TIMESTAMP": timestamp,
+          "X-BAPI-RECV-WINDOW": recvWindow,
+          "X-BAPI-SIGN": hmac(
+            apiSecret,
+            timestamp + apiKey + recvWindow,
+            "hex"
+          ),
+        },
+        isOk: (data) => data?.retCode === 0,
+      });
+    },
+  },
+  kucoin: {
+    name: "KuCoin",
+    threeCommasType: "kucoin",
+    requiresPassphrase: true,
+    verify: ({ apiKey, apiSecret, passphrase }) => {
+      const timestamp = String(Date.now());
+      const path = "/api/v1/accounts";
+      return signedGet("kucoin", {
+        baseUrl: config.exchanges.kucoin.baseUrl,
+        path,
+        headers: {
+          "KC-API-KEY": apiKey,
+          "KC-API-TIMESTAMP": timestamp,
+          "KC-API-SIGN": hmac(apiSecret, `${timestamp}GET${path}`, "base64"),
+          // Version 2 keys send the passphrase signed with the secret
+          "KC-API-PASSPHRASE": hmac(apiSecret, passphrase, "base64"),
+          "KC-API-KEY-VERSION": "2",
+        },
+        isOk: (data) => data?.code === "200000",
+      });
+    },
+  },
+  okx: {
+    name: "OKX",
+    threeCommasType: "okex",
+    requiresPassphrase: true,
+    verify: ({ apiKey, apiSecret, passphrase }) => {
+      const timestamp = new Date().toISOString();
+      const path = "/api/v5/account/balance";
+      return signedGet("okx", {
+        baseUrl: config.exchanges.okx.baseUrl,
+        path,
+        headers: {
+          "OK-ACCESS-KEY": apiKey,
+          "OK-ACCESS-TIMESTAMP": timestamp,
+          "OK-ACCESS-SIGN": hmac(apiSecret, `${timestamp}GET${path}`, "base64"),
+          "OK-ACCESS-PASSPHRASE": passphrase,
+        },
+        isOk: (data) => data?.code === "0",
+      });
+    },
+  },
+};
+
+exports.EXCHANGES = Object.keys(ADAPTERS);
+
+// Adapter for an exchange type, or undefined when it is not supported
+exports.getAdapter = (exchange) =>
+  Object.prototype.hasOwnProperty.call(ADAPTERS, exchange)
+    ? ADAPTERS[exchange]
+    : undefined;
+
+/**
+ * Check API keys with the exchange's signed read-only request.
+ * @param {string} exchange - One of EXCHANGES
+ * @param {{apiKey: string, apiSecret: string, passphrase?: string}} credentials
+ * @returns {Promise<{ok: boolean, message?: string, status?: number, data?: *}>}
+ */
+exports.verifyCredentials = async (exchange, credentials) => {
+  const adapter = exports.getAdapter(exchange);
+  try {
+    await adapter.verify(credentials);
+    return { ok: true };
+  } catch (error) {
+    return {
+      ok: false,
+      message: error.message || `Failed to verify ${adapter.name} credentials`,
+      status: error.status,
+      data: error.raw,
+    };
+  }
+};
+
+// Supported exchanges as shown to clients
+exports.listExchanges = () =>
+  Object.entries(ADAPTERS).map(([exchange, adapter]) => ({
+    exchange,
+    name: adapter.name,
+    requiresPassphrase: adapter.requiresPassphrase,
+  }));
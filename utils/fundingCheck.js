@@ -0,0 +1,177 @@
+const Bot = require("../models/bot");
+const Deal = require("../models/Deal");
+const ExchangeConnection = require("../models/ExchangeConnection");
+const binance = require("./binance");
+const { buildLadder, maxCapital, toLadderConfig } = require("./dcaLadder");
+const { resolvePairs } = require("./botConfig");
+const { getAdapter } = require("./exchangeAdapters");
+
+const round = (value) => Math.round(value * 1e8) / 1e8;
+
+const addTo = (totals, asset, amount) => {
+  totals[asset] = (totals[asset] || 0) + amount;
+};
+
+/**
+ * Worst-case funds a bot needs, by asset. Long bots spend the quote asset for
+ * up to maxActiveDeals deals; short bots sell the base asset of each pair.
+ * @param {Object} config - Bot document or createBot params
+ * @param {Object} prices - Binance ticker prices (see binance.getTickerPrices)
+ * @returns {{ required: Object, unpricedPairs: string[] }}
+ */
+function requirementsFor(config, prices) {
+  const ladder = toLadderConfig(config);
+  const pairs = resolvePairs(config);
+  const required = {};
+  const unpricedPairs = [];
+
+  if (ladder.direction === "long") {
+    const deals = Number(config.maxActiveDeals) || 1;
+    addTo(required, pairs[0].split("_")[1], maxCapital(ladder) * deals);
+    return { required, unpricedPairs };
+  }
+
+  for (const pair of pairs) {
+    const price = prices[binance.toBinanceSymbol(pair)];
+    if (!price) {
+      unpricedPairs.push(pair);
+      continue;
+    }
+    const { safetyOrders, baseOrder } = buildLadder(ladder, price);
+    const lastFill = safetyOrders[safetyOrders.length - 1] || baseOrder;
+    addTo(required, pair.split("_")[0], lastFill.totalQuantity);
+  }
+  return { required, unpricedPairs };
+}
+
+// What running bots still hold back: their worst case minus what their open
+// deals already spent (that is no longer in the free balance)
+async function reservedByBots(bots, prices) {
+  const reserved = {};
+  const openDeals = await Deal.find({
+    bot: { $in: bots.map((bot) => bot._id) },
+    finished: false,
+  });
+
+  for (const bot of bots) {
+    const { required } = requirementsFor(bot, prices);
+    const pairs = bot.getPairs();
+
+    openDeals
+      .filter((deal) => deal.bot.toString() === bot._id.toString())
+      .forEach((deal) => {
+        if (bot.strategy === "long") {
+          const quote = pairs[0].split("_")[1];
+          required[quote] -= deal.boughtVolume || 0;
+        } else {
+          // 3Commas may write the deal pair either way round
+          const base = pairs
+            .map((pair) => pair.split("_")[0])
+            .find((asset) => deal.pair?.split("_").includes(asset));
+          if (base && required[base] !== undefined) {
+            required[base] -= deal.soldAmount || 0;
+          }
+        }
+      });
+
+    Object.entries(required).forEach(([asset, amount]) =>
+      addTo(reserved, asset, Math.max(amount, 0))
+    );
+  }
+  return reserved;
+}
+
+// Callers opt out with skipBalanceCheck: true in the body or query
+exports.balanceCheckSkipped = (req) =>
+  req.body?.skipBalanceCheck === true || req.query?.skipBalanceCheck === "true";
+
+/**
+ * Check that the free Binance balance of the connection a bot runs on covers
+ * its worst case on top of what the other running bots on that connection
+ * reserve. Connections to other exchanges pass unchecked (skipped: true).
+ * Binance failures are thrown as BinanceError.
+ * @param {Object} user - User document
+ * @param {Object} config - Bot document or createBot params
+ * @param {Object} [options]
+ * @param {*} [options.excludeBotId] - The bot itself, when it already exists
+ * @param {Object} [options.connection] - ExchangeConnection to check; by
+ *   default the one behind config.exchangeId
+ * @returns {Promise<{ok: boolean, skipped?: boolean, message?: string, assets?: Object[], unpricedPairs?: string[]}>}
+ */
+exports.checkBotFunding = async (
+  user,
+  config,
+  { excludeBotId, connection } = {}
+) => {
+  const source =
+    connection ||
+    (await ExchangeConnection.forAccount(user, config.exchangeId));
+  if (!source) {
+    return {
+      ok: false,
+      message:
+        "Binance account not connected, so the balance cannot be checked",
+    };
+  }
+
+  // Balances are only read from Binance spot; other exchanges are not checked
+  const adapter = getAdapter(source.exchange);
+  if (!adapter?.binanceSpot) {
+    return {
+      ok: true,
+      skipped: true,
+      message: `Balance check is not available for ${
+        adapter?.name || source.exchange
+      } connections`,
+    };
+  }
+
+  const [account, prices, runningBots] = await Promise.all([
+    binance.getAccount(source.credentials()),
+    binance.getTickerPrices(),
+    Bot.find({
+      user: user._id,
+      exchangeId: source.threeCommasAccountId,
+      status: "running",
+      ...(excludeBotId && { _id: { $ne: excludeBotId } }),
+    }),
+  ]);
+
+  const { required, unpricedPairs } = requirementsFor(config, prices);
+  const reserved = await reservedByBots(runningBots, prices);
+
+  const free = {};
+  (account.balances || []).forEach((balance) => {
+    free[balance.asset] = parseFloat(balance.free);
+  });
+
+  const assets = Object.entries(required).map(([asset, amount]) => {
+    const available = (free[asset] || 0) - (reserved[asset] || 0);
+    return {
+      asset,
+      required: round(amount),
+      free: free[asset] || 0,
+      reservedByRunningBots: round(reserved[asset] || 0),
+      available: round(available),
+      shortfall: round(Math.max(amount - available, 0)),
+    };
+  });
+
+  const short = assets.filter((asset) => asset.shortfall > 0);
+  return {
+    ok: short.length === 0 && unpricedPairs.length === 0,
+    message:
+      short.length > 0
+        ? `Insufficient balance: short ${short
+            .map((asset) => `${asset.shortfall} ${asset.asset}`)
+            .join(", ")}`
+        : unpricedPairs.length > 0
+        ? `No Binance price for ${unpricedPairs.join(", ")}`
+        : undefined,
+    assets,
+    runningBots: runningBots.length,
+    unpricedPairs,
+  };
+};
+
+exports.requirementsFor = requirementsFor;
@@ -0,0 +1,195 @@
+const threeCommas = require("./threeCommas");
+const binance = require("./binance");
+const { safetyOrderSteps } = require("./dcaLadder");
+const { resolvePairs } = require("./botConfig");
+const { getAdapter } = require("./exchangeAdapters");
+
+// Listings and filters change rarely; one fetch an hour is plenty
+const CACHE_TTL = 60 * 60 * 1000;
+
+const cache = new Map();
+
+// Load once per TTL; concurrent callers share the same in-flight request
+function cached(key, load) {
+  const entry = cache.get(key);
+  if (entry && Date.now() - entry.at < CACHE_TTL) return entry.value;
+
+  const value = load().catch((error) => {
+    cache.delete(key);
+    throw error;
+  });
+  cache.set(key, { at: Date.now(), value });
+  return value;
+}
+
+const filterValue = (filters, type, field) => {
+  const filter = filters.find((f) => f.filterType === type);
+  return filter && filter[field] !== undefined
+    ? parseFloat(filter[field])
+    : null;
+};
+
+// Binance symbol rules keyed by symbol, e.g. BTCUSDT
+exports.getSymbolRules = () =>
+  cached("binance:exchangeInfo", async () => {
+    const info = await binance.getExchangeInfo();
+    const rules = new Map();
+    (info.symbols || []).forEach((symbol) => {
+      const filters = symbol.filters || [];
+      rules.set(symbol.symbol, {
+        status: symbol.status,
+        baseAsset: symbol.baseAsset,
+        quoteAsset: symbol.quoteAsset,
+        minQty: filterValue(filters, "LOT_SIZE", "minQty"),
+        stepSize: filterValue(filters, "LOT_SIZE", "stepSize"),
+        // Newer symbols use NOTIONAL, older ones still MIN_NOTIONAL
+        minNotional:
+          filterValue(filters, "NOTIONAL", "minNotional") ??
+          filterValue(filters, "MIN_NOTIONAL", "minNotional"),
+      });
+    });
+    return rules;
+  });
+
+// Pairs 3Commas supports for the exchange behind a 3Commas account
+exports.getAccountPairs = (accountId) =>
+  cached(`3commas:pairs:${accountId}`, async () => {
+    const { data: account } = await threeCommas.get(
+      `/ver1/accounts/${accountId}`
+    );
+    const { data: pairs } = await threeCommas.get(
+      "/ver1/accounts/market_pairs",
+      { params: { market_code: account.market_code } }
+    );
+    return new Set(pairs);
+  });
+
+const round = (value) => Math.round(value * 1e8) / 1e8;
+
+// Params may be strings; undefined stays undefined so defaults still apply
+const toNumber = (value) =>
+  value === undefined || value === null ? undefined : Number(value);
+
+// 3Commas lists pairs as QUOTE_BASE, we write BASE_QUOTE; accept either
+const listedOn3Commas = (pairs, pair) =>
+  pairs.has(pair) || pairs.has(pair.split("_").reverse().join("_"));
+
+// Quantity an order of `volume` quote buys at `price`, rounded down to the lot step
+function lotQuantity(volume, price, stepSize) {
+  const quantity = volume / price;
+  if (!stepSize) return quantity;
+  return round(Math.floor(quantity / stepSize + 1e-9) * stepSize);
+}
+
+// Error for one order size against a symbol's filters, or null
+function orderSizeError(volume, pair, rules, price) {
+  const quote = rules.quoteAsset;
+  if (rules.minNotional && volume < rules.minNotional) {
+    return `must be at least ${rules.minNotional} ${quote} on ${pair}`;
+  }
+  if (price) {
+    const quantity = lotQuantity(volume, price, rules.stepSize);
+    if (rules.minQty && quantity < rules.minQty) {
+      return `buys ${quantity} ${rules.baseAsset} on ${pair} at the current price, below the minimum quantity ${rules.minQty}`;
+    }
+    if (rules.minNotional && quantity * price < rules.minNotional) {
+      return `is below ${rules.minNotional} ${quote} on ${pair} once rounded to the lot size ${rules.stepSize}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a bot configuration against the live exchange: every pair must be
+ * supported by the 3Commas account and trading on Binance, and the base order
+ * and smallest safety order must meet the minimum notional and lot size.
+ * On other exchanges only the 3Commas account listing is checked.
+ * 3Commas and Binance failures are thrown as their typed errors.
+ * @param {Object} config - createBot params or a merged bot configuration
+ * @param {Object} options
+ * @param {number} options.accountId - 3Commas account the bot runs on
+ * @param {string} [options.exchange="binance"] - Exchange of that account
+ * @returns {Promise<Object>} per-field error messages, empty when valid
+ */
+exports.validateMarketRules = async (
+  config,
+  { accountId, exchange = "binance" }
+) => {
+  const binanceSpot = Boolean(getAdapter(exchange)?.binanceSpot);
+  const [symbolRules, accountPairs, prices] = await Promise.all([
+    binanceSpot ? exports.getSymbolRules() : null,
+    accountId ? exports.getAccountPairs(accountId) : null,
+    binanceSpot ? binance.getTickerPrices() : null,
+  ]);
+
+  const errors = {};
+  const addError = (field, message) => {
+    errors[field] = errors[field] ? `${errors[field]}; ${message}` : message;
+  };
+
+  const pairField = config.botType === "multi" ? "pairs" : "pair";
+  const baseOrderSize = Number(config.baseOrderSize);
+  const steps = safetyOrderSteps({
+    baseOrderSize,
+    safetyOrderVolume: toNumber(config.safetyOrderVolume),
+    maxSafetyOrders: toNumber(config.maxSafetyOrders),
+    martingaleVolumeCoefficient: toNumber(config.martingaleVolumeCoefficient),
+  });
+  // A volume coefficient below 1 makes later safety orders the smallest
+  const smallestSafetyOrder = round(
+    Math.min(...steps.map((step) => step.volume))
+  );
+
+  for (const pair of resolvePairs(config)) {
+    if (accountPairs && !listedOn3Commas(accountPairs, pair)) {
+      addError(pairField, `${pair} is not available on your 3Commas account`);
+      continue;
+    }
+    if (!binanceSpot) continue;
+
+    const symbol = binance.toBinanceSymbol(pair);
+    const rules = symbolRules.get(symbol);
+    if (!rules) {
+      addError(pairField, `${pair} is not listed on Binance`);
+      continue;
+    }
+    if (rules.status !== "TRADING") {
+      addError(
+        pairField,
+        `${pair} is not trading on Binance (status ${rules.status})`
+      );
+      continue;
+    }
+
+    const price = prices[symbol];
+    const baseError = orderSizeError(baseOrderSize, pair, rules, price);
+    if (baseError) addError("baseOrderSize", baseError);
+
+    if (steps.length > 0) {
+      const safetyError = orderSizeError(
+        smallestSafetyOrder,
+        pair,
+        rules,
+        price
+      );
+      if (safetyError) {
+        addError(
+          "safetyOrderVolume",
+          `smallest safety order (${smallestSafetyOrder}) ${safetyError}`
+        );
+      }
+    }
+  }
+
+  return errors;
+};
+
+// Fields whose change needs a fresh exchange-rule check
+exports.MARKET_RULE_FIELDS = [
+  "pair",
+  "pairs",
+  "baseOrderSize",
+  "safetyOrderVolume",
+  "maxSafetyOrders",
+  "martingaleVolumeCoefficient",
+];
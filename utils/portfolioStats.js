@@ -0,0 +1,123 @@
+// Portfolio statistics computed from normalised Binance fills (see utils/binance.js).
+// Realised PnL uses the average-cost method per symbol; sells of inventory bought
+// before the fetched history have no known cost basis and are reported separately.
+
+const PERIODS = {
+  "24h": 24 * 60 * 60 * 1000,
+  "7d": 7 * 24 * 60 * 60 * 1000,
+  "30d": 30 * 24 * 60 * 60 * 1000,
+};
+
+// Binance takes 25% less when fees are paid in BNB
+const BNB_FEE_DISCOUNT = 0.25;
+
+function emptyTotals() {
+  return {
+    realisedPnlUsdt: 0,
+    volumeUsdt: 0,
+    feesUsdt: 0,
+    bnbFeesUsdt: 0,
+    bnbDiscountUsdt: 0,
+    tradeCount: 0,
+    unmatchedSellQty: 0,
+  };
+}
+
+function addTo(totals, entry) {
+  totals.realisedPnlUsdt += entry.realisedPnlUsdt;
+  totals.volumeUsdt += entry.volumeUsdt;
+  totals.feesUsdt += entry.feeUsdt;
+  totals.bnbFeesUsdt += entry.bnbFeeUsdt;
+  totals.bnbDiscountUsdt += entry.bnbDiscountUsdt;
+  totals.tradeCount += 1;
+  totals.unmatchedSellQty += entry.unmatchedSellQty;
+}
+
+function feeInUsdt(trade, market, quoteUsdt, priceInUsdt) {
+  if (!trade.commission) return 0;
+  if (trade.commissionAsset === market.quote) {
+    return trade.commission * quoteUsdt;
+  }
+  if (trade.commissionAsset === market.base) {
+    return trade.commission * trade.price * quoteUsdt;
+  }
+  // Fees in a third asset (normally BNB) are valued at the current price
+  return trade.commission * (priceInUsdt(trade.commissionAsset) || 0);
+}
+
+// Per-fill PnL, volume and fees for one symbol, all in USDT
+function evaluateMarket(market, trades, priceInUsdt) {
+  const quoteUsdt = priceInUsdt(market.quote) || 0;
+  let position = 0;
+  let averageCost = 0;
+
+  return [...trades]
+    .sort((a, b) => a.time - b.time || a.id - b.id)
+    .map((trade) => {
+      let realisedPnl = 0;
+      let unmatchedSellQty = 0;
+
+      if (trade.isBuyer) {
+        averageCost =
+          (averageCost * position + trade.price * trade.qty) /
+          (position + trade.qty);
+        position += trade.qty;
+      } else {
+        const matched = Math.min(position, trade.qty);
+        realisedPnl = (trade.price - averageCost) * matched;
+        unmatchedSellQty = trade.qty - matched;
+        position -= matched;
+      }
+
+      const feeUsdt = feeInUsdt(trade, market, quoteUsdt, priceInUsdt);
+      const bnbFeeUsdt = trade.commissionAsset === "BNB" ? feeUsdt : 0;
+
+      return {
+        time: new Date(trade.time).getTime(),
+        asset: market.base,
+        realisedPnlUsdt: realisedPnl * quoteUsdt,
+        volumeUsdt: trade.quoteQty * quoteUsdt,
+        feeUsdt,
+        bnbFeeUsdt,
+        bnbDiscountUsdt:
+          (bnbFeeUsdt / (1 - BNB_FEE_DISCOUNT)) * BNB_FEE_DISCOUNT,
+        unmatchedSellQty,
+      };
+    });
+}
+
+/**
+ * Aggregate fills into 24h/7d/30d windows.
+ * @param {Array<{market: {base, quote}, trades: Array}>} histories
+ * @param {(asset: string) => number|null} priceInUsdt
+ * @param {number} [now]
+ */
+exports.buildPeriodStats = (histories, priceInUsdt, now = Date.now()) => {
+  const entries = histories.flatMap(({ market, trades }) =>
+    evaluateMarket(market, trades, priceInUsdt)
+  );
+
+  const periods = {};
+  Object.entries(PERIODS).forEach(([label, length]) => {
+    const totals = emptyTotals();
+    const byAsset = {};
+
+    entries
+      .filter((entry) => entry.time >= now - length)
+      .forEach((entry) => {
+        addTo(totals, entry);
+        byAsset[entry.asset] = byAsset[entry.asset] || emptyTotals();
+        addTo(byAsset[entry.asset], entry);
+      });
+
+    periods[label] = {
+      ...totals,
+      netPnlUsdt: totals.realisedPnlUsdt - totals.feesUsdt,
+      byAsset,
+    };
+  });
+
+  return periods;
+};
+
+exports.PERIODS = PERIODS;
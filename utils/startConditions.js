@@ -0,0 +1,136 @@
+// Deal start conditions and their 3Commas strategy_list form
+
+const TIMEFRAMES = ["1m", "5m", "15m", "30m", "1h", "2h", "4h", "1d"];
+
+const TRADING_VIEW_RATINGS = {
+  long: ["strong_buy", "buy_or_strong_buy", "buy"],
+  short: ["strong_sell", "sell_or_strong_sell", "sell"],
+};
+
+const QFL_TYPES = ["original", "day_trading", "conservative", "position"];
+
+// Conditions that cannot be combined with any other
+const EXCLUSIVE_TYPES = ["nonstop", "manual"];
+
+const MAX_CONDITIONS = 5;
+
+// Per type: validate the fields and build the 3Commas entry
+const CONDITION_TYPES = {
+  // Open a new deal as soon as the previous one closes
+  nonstop: {
+    parse: () => ({ value: { type: "nonstop" } }),
+    toThreeCommas: () => ({ strategy: "nonstop", options: {} }),
+  },
+  // Deals are only opened from the 3Commas UI or API
+  manual: {
+    parse: () => ({ value: { type: "manual" } }),
+    toThreeCommas: () => ({ strategy: "manual", options: {} }),
+  },
+  rsi: {
+    parse: ({ timeframe, threshold }) => {
+      if (!TIMEFRAMES.includes(timeframe)) {
+        return { error: `timeframe must be one of: ${TIMEFRAMES.join(", ")}` };
+      }
+      const value = Number(threshold);
+      if (!Number.isFinite(value) || value < 1 || value > 100) {
+        return { error: "threshold must be a number between 1 and 100" };
+      }
+      return { value: { type: "rsi", timeframe, threshold: value } };
+    },
+    toThreeCommas: ({ timeframe, threshold }) => ({
+      strategy: "rsi",
+      options: { time: timeframe, points: threshold },
+    }),
+  },
+  tradingView: {
+    parse: ({ timeframe, rating }, direction) => {
+      if (!TIMEFRAMES.includes(timeframe)) {
+        return { error: `timeframe must be one of: ${TIMEFRAMES.join(", ")}` };
+      }
+      const ratings = direction
+        ? TRADING_VIEW_RATINGS[direction]
+        : [...TRADING_VIEW_RATINGS.long, ...TRADING_VIEW_RATINGS.short];
+      if (!ratings.includes(rating)) {
+        return {
+          error: `rating must be one of: ${ratings.join(", ")}${
+            direction ? ` for ${direction} bots` : ""
+          }`,
+        };
+      }
+      return { value: { type: "tradingView", timeframe, rating } };
+    },
+    toThreeCommas: ({ timeframe, rating }) => ({
+      strategy: "trading_view",
+      options: { time: timeframe, type: rating },
+    }),
+  },
+  qfl: {
+    parse: ({ qflType = "original", percent }) => {
+      if (!QFL_TYPES.includes(qflType)) {
+        return { error: `qflType must be one of: ${QFL_TYPES.join(", ")}` };
+      }
+      const value = Number(percent);
+      if (!Number.isFinite(value) || value < 0.1 || value > 100) {
+        return { error: "percent must be a number between 0.1 and 100" };
+      }
+      return { value: { type: "qfl", qflType, percent: value } };
+    },
+    toThreeCommas: ({ qflType, percent }) => ({
+      strategy: "qfl",
+      options: { type: qflType, percent },
+    }),
+  },
+};
+
+/**
+ * Validate a list of deal start conditions.
+ * @param {Array} conditions - e.g. [{ type: "rsi", timeframe: "5m", threshold: 30 }]
+ * @param {"long"|"short"} [direction] - Bot direction, for TradingView ratings
+ * @returns {{ value?: Object[], error?: string }}
+ */
+exports.parseStartConditions = (conditions, direction) => {
+  if (!Array.isArray(conditions)) {
+    return { error: "must be a list of conditions" };
+  }
+  if (conditions.length > MAX_CONDITIONS) {
+    return { error: `must have at most ${MAX_CONDITIONS} conditions` };
+  }
+
+  const value = [];
+  for (const [index, condition] of conditions.entries()) {
+    if (!Object.hasOwn(CONDITION_TYPES, condition?.type)) {
+      return {
+        error: `[${index}].type must be one of: ${Object.keys(
+          CONDITION_TYPES
+        ).join(", ")}`,
+      };
+    }
+    const result = CONDITION_TYPES[condition.type].parse(condition, direction);
+    if (result.error) return { error: `[${index}].${result.error}` };
+    value.push(result.value);
+  }
+
+  const exclusive = value.find((c) => EXCLUSIVE_TYPES.includes(c.type));
+  if (exclusive && value.length > 1) {
+    return {
+      error: `${exclusive.type} cannot be combined with other conditions`,
+    };
+  }
+
+  const keys = value.map((c) => `${c.type}:${c.timeframe || ""}`);
+  if (new Set(keys).size !== keys.length) {
+    return { error: "contains the same condition twice" };
+  }
+
+  return { value };
+};
+
+// 3Commas strategy_list; an empty list keeps 3Commas' non-stop default
+exports.toStrategyList = (conditions = []) =>
+  conditions.map((condition) =>
+    CONDITION_TYPES[condition.type].toThreeCommas(condition)
+  );
+
+exports.CONDITION_TYPES = Object.keys(CONDITION_TYPES);
+exports.TIMEFRAMES = TIMEFRAMES;
+exports.QFL_TYPES = QFL_TYPES;
@@ -0,0 +1,59 @@
+// Multi-step take profit for takeProfitType "step"
+
+const MAX_TAKE_PROFIT_STEPS = 4;
+
+/**
+ * Validate take-profit steps: each closes closePercent of the position once
+ * the deal is profitPercent in profit. Profits must rise from step to step and
+ * the closed shares must add up to 100%.
+ * @param {Array} steps - e.g. [{ profitPercent: 1, closePercent: 50 }, ...]
+ * @returns {{ value?: Object[], error?: string }}
+ */
+exports.parseTakeProfitSteps = (steps) => {
+  if (!Array.isArray(steps)) {
+    return { error: "must be a list of steps" };
+  }
+  if (steps.length < 2 || steps.length > MAX_TAKE_PROFIT_STEPS) {
+    return {
+      error: `must have between 2 and ${MAX_TAKE_PROFIT_STEPS} steps`,
+    };
+  }
+
+  const value = [];
+  for (const [index, step] of steps.entries()) {
+    const profitPercent = Number(step?.profitPercent);
+    const closePercent = Number(step?.closePercent);
+    if (!(profitPercent > 0 && profitPercent <= 100)) {
+      return {
+        error: `[${index}].profitPercent must be greater than 0 and at most 100`,
+      };
+    }
+    if (!(closePercent > 0 && closePercent <= 100)) {
+      return {
+        error: `[${index}].closePercent must be greater than 0 and at most 100`,
+      };
+    }
+    if (index > 0 && profitPercent <= value[index - 1].profitPercent) {
+      return {
+        error: `[${index}].profitPercent must be above the previous step's`,
+      };
+    }
+    value.push({ profitPercent, closePercent });
+  }
+
+  const total = value.reduce((sum, step) => sum + step.closePercent, 0);
+  if (Math.abs(total - 100) > 1e-9) {
+    return { error: `closePercent must add up to 100 (got ${total})` };
+  }
+
+  return { value };
+};
+
+// 3Commas take_profit_steps payload
+exports.toThreeCommasSteps = (steps = []) =>
+  steps.map((step) => ({
+    amount_percent: step.closePercent,
+    profit_percent: step.profitPercent,
+  }));
+
+exports.MAX_TAKE_PROFIT_STEPS = MAX_TAKE_PROFIT_STEPS;
@@ -1,25 +1,137 @@
 const axios = require("axios");
 const crypto = require("crypto");
 const config = require("../config");
+const {
+  ThreeCommasError,
+  ThreeCommasValidationError,
+  ThreeCommasAuthError,
+  ThreeCommasNotFoundError,
+  ThreeCommasRateLimitError,
+  ThreeCommasUnavailableError,
+} = require("./errors");
 
-const API_KEY = process.env.THREE_COMMAS_API_KEY;
-const API_SECRET = process.env.THREE_COMMAS_API_SECRET;
+const API_KEY = config.threeCommas.apiKey;
+const API_SECRET = config.threeCommas.apiSecret;
+
+// Methods that are safe to replay after a 5xx or network failure. POSTs are only
+// retried on 429, where 3Commas guarantees the request was not processed.
+const IDEMPOTENT_METHODS = ["get", "head", "delete"];
 
 function generateSignature(fullPathWithPrefix, bodyString) {
   const message = `${fullPathWithPrefix}${bodyString || ""}`;
   return crypto.createHmac("sha256", API_SECRET).update(message).digest("hex");
 }
 
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Sliding one-minute window shared by every request made through this client
+const requestLog = [];
+let pausedUntil = 0;
+
+async function waitForRateLimit() {
+  for (;;) {
+    const now = Date.now();
+    if (pausedUntil > now) {
+      await sleep(pausedUntil - now);
+      continue;
+    }
+
+    while (requestLog.length && requestLog[0] <= now - 60000) {
+      requestLog.shift();
+    }
+
+    if (requestLog.length < config.threeCommas.rateLimitPerMinute) {
+      requestLog.push(now);
+      return;
+    }
+
+    await sleep(requestLog[0] + 60000 - now);
+  }
+}
+
+function parseRetryAfter(headers) {
+  const value = headers?.["retry-after"];
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+}
+
+function backoffDelay(attempt) {
+  const base = config.threeCommas.retryBaseDelayMs * 2 ** attempt;
+  return base + Math.floor(Math.random() * base * 0.25);
+}
+
+function toThreeCommasError(error) {
+  const status = error?.response?.status || 0;
+  const data = error?.response?.data;
+  const details = {
+    status,
+    code: data?.error,
+    description: data?.error_description,
+    attributes: data?.error_attributes,
+    raw: data || null,
+  };
+  const message =
+    data?.error_description || data?.error || error.message || "3Commas error";
+
+  if (status === 429) {
+    return new ThreeCommasRateLimitError(message, {
+      ...details,
+      retryAfter: parseRetryAfter(error.response.headers),
+    });
+  }
+  if (status === 401 || status === 403) {
+    return new ThreeCommasAuthError(message, details);
+  }
+  if (status === 404) {
+    return new ThreeCommasNotFoundError(message, details);
+  }
+  if (status === 400 || status === 422) {
+    return new ThreeCommasValidationError(message, details);
+  }
+  if (!status || status >= 500) {
+    return new ThreeCommasUnavailableError(message, {
+      ...details,
+      timeout: error.code === "ECONNABORTED" || error.code === "ETIMEDOUT",
+    });
+  }
+  return new ThreeCommasError(message, details);
+}
+
 const threeCommas = axios.create({
   // Must include /public/api so that the path used for the signature matches server expectation
   baseURL: config.threeCommas.baseUrl, // e.g., https://api.3commas.io/public/api
+  timeout: config.threeCommas.timeout,
 });
 
-threeCommas.interceptors.request.use((reqConfig) => {
+threeCommas.interceptors.request.use(async (reqConfig) => {
+  await waitForRateLimit();
+
+  // Fold `params` into the URL so they are part of the signed path
+  if (reqConfig.params) {
+    const query = new URLSearchParams();
+    Object.entries(reqConfig.params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) query.append(key, value);
+    });
+    const qs = query.toString();
+    if (qs) {
+      reqConfig.url += (reqConfig.url.includes("?") ? "&" : "?") + qs;
+    }
+    delete reqConfig.params;
+  }
+
   const composedUrl = new URL(reqConfig.baseURL + reqConfig.url);
   const fullPath = composedUrl.pathname + composedUrl.search; // includes /public/api prefix
 
-  const body = reqConfig.data ? JSON.stringify(reqConfig.data) : "";
+  // On retries the body has already been serialized by axios
+  const body =
+    typeof reqConfig.data === "string"
+      ? reqConfig.data
+      : reqConfig.data
+      ? JSON.stringify(reqConfig.data)
+      : "";
   const signature = generateSignature(fullPath, body);
 
   reqConfig.headers["Apikey"] = API_KEY;
@@ -29,4 +141,42 @@ threeCommas.interceptors.request.use((reqConfig) => {
   return reqConfig;
 });
 
+threeCommas.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const reqConfig = error.config;
+    if (!reqConfig) throw toThreeCommasError(error);
+
+    const status = error?.response?.status || 0;
+    const method = (reqConfig.method || "get").toLowerCase();
+    const attempt = reqConfig.__retryCount || 0;
+
+    const retryable =
+      status === 429 ||
+      ((!status || status >= 500) && IDEMPOTENT_METHODS.includes(method));
+
+    if (!retryable || attempt >= config.threeCommas.maxRetries) {
+      throw toThreeCommasError(error);
+    }
+
+    let delay = backoffDelay(attempt);
+    if (status === 429) {
+      const retryAfter = parseRetryAfter(error.response.headers);
+      if (retryAfter !== null) delay = Math.max(delay, retryAfter * 1000);
+      // Hold back every other request too, not just this one
+      pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+    }
+
+    console.warn(
+      `3Commas ${method.toUpperCase()} ${reqConfig.url} failed (${
+        status || error.code
+      }), retry ${attempt + 1}/${config.threeCommas.maxRetries} in ${delay}ms`
+    );
+
+    reqConfig.__retryCount = attempt + 1;
+    await sleep(delay);
+    return threeCommas.request(reqConfig);
+  }
+);
+
 module.exports = threeCommas;
@@ -0,0 +1,98 @@
+const Bot = require("../models/bot");
+const Deal = require("../models/Deal");
+const threeCommas = require("../utils/threeCommas");
+const config = require("../config");
+const { schedule } = require("./scheduler");
+
+const PAGE_SIZE = 100;
+
+// Pull every deal of one bot updated since its last sync and upsert it.
+// Pages newest-first by updated_at and stops at the first already-seen update.
+async function syncBotDeals(bot) {
+  const since = bot.dealsSyncedAt;
+  let newest = since;
+  let offset = 0;
+  let synced = 0;
+
+  for (;;) {
+    const response = await threeCommas.get("/ver1/deals", {
+      params: {
+        bot_id: bot.threeCommasBotId,
+        order: "updated_at",
+        order_direction: "desc",
+        limit: PAGE_SIZE,
+        offset,
+      },
+    });
+    const deals = response.data || [];
+
+    // Deals updated in the same second as the last sync are upserted again
+    const fresh = since
+      ? deals.filter((deal) => new Date(deal.updated_at) >= since)
+      : deals;
+
+    if (fresh.length > 0) {
+      await Deal.bulkWrite(
+        fresh.map((deal) => ({
+          updateOne: {
+            filter: { threeCommasDealId: deal.id },
+            update: {
+              $set: {
+                ...Deal.fromThreeCommas(deal),
+                bot: bot._id,
+                user: bot.user,
+              },
+            },
+            upsert: true,
+          },
+        }))
+      );
+      synced += fresh.length;
+
+      const latest = new Date(fresh[0].updated_at);
+      if (!newest || latest > newest) newest = latest;
+    }
+
+    if (deals.length < PAGE_SIZE || fresh.length < deals.length) break;
+    offset += PAGE_SIZE;
+  }
+
+  bot.dealsSyncedAt = newest;
+  if (synced > 0) {
+    await bot.updatePerformance();
+  } else if (bot.isModified("dealsSyncedAt")) {
+    await bot.save();
+  }
+
+  return synced;
+}
+
+// One pass over every bot linked to 3Commas. A failing bot is logged and skipped.
+async function syncAllDeals() {
+  const startedAt = Date.now();
+  const summary = { bots: 0, deals: 0, failed: 0 };
+  const bots = await Bot.find({ threeCommasBotId: { $ne: null } });
+
+  for (const bot of bots) {
+    try {
+      summary.deals += await syncBotDeals(bot);
+      summary.bots += 1;
+    } catch (error) {
+      summary.failed += 1;
+      console.error(
+        `❌ Deal sync failed for bot ${bot._id} (3Commas ${bot.threeCommasBotId}):`,
+        error.message
+      );
+    }
+  }
+
+  console.log(`🔄 Deal sync finished in ${Date.now() - startedAt}ms:`, summary);
+  return summary;
+}
+
+// Schedule syncAllDeals on the configured interval
+function startDealSync() {
+  return schedule("Deal sync", syncAllDeals, config.jobs.dealSync);
+}
+
+module.exports = { syncBotDeals, syncAllDeals, startDealSync };
@@ -0,0 +1,201 @@
+const Bot = require("../models/bot");
+const User = require("../models/User");
+const ExchangeConnection = require("../models/ExchangeConnection");
+const threeCommas = require("../utils/threeCommas");
+const config = require("../config");
+const { ThreeCommasNotFoundError } = require("../utils/errors");
+const { schedule } = require("./scheduler");
+
+const PAGE_SIZE = 100;
+
+async function fetchRemoteBots(accountId) {
+  const bots = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const response = await threeCommas.get("/ver1/bots", {
+      params: { limit: PAGE_SIZE, offset, account_id: accountId },
+    });
+    const page = response.data || [];
+    bots.push(...page);
+    if (page.length < PAGE_SIZE) return bots;
+  }
+}
+
+// The status a local bot should have given its 3Commas counterpart
+function expectedState(bot, remote) {
+  if (!remote) {
+    return {
+      status: "error",
+      statusReason: "Bot no longer exists in 3Commas",
+      orphaned: true,
+    };
+  }
+
+  if (bot.exchangeId && remote.account_id !== bot.exchangeId) {
+    return {
+      status: "error",
+      statusReason: `3Commas bot runs on account ${remote.account_id}, expected ${bot.exchangeId}`,
+      orphaned: false,
+    };
+  }
+
+  if (remote.is_enabled) {
+    return {
+      status: "running",
+      statusReason: bot.status === "running" ? bot.statusReason : null,
+      orphaned: false,
+    };
+  }
+
+  // Disabled in 3Commas: paused and stopped are both consistent with that
+  if (bot.status === "paused" || bot.status === "stopped") {
+    return {
+      status: bot.status,
+      statusReason: bot.statusReason,
+      orphaned: false,
+    };
+  }
+  return {
+    status: "paused",
+    statusReason: "Disabled in 3Commas",
+    orphaned: false,
+  };
+}
+
+/**
+ * Compare local bots with 3Commas and repair drift.
+ * @param {Object} [options]
+ * @param {Object} [options.user] - Limit the run to one User document
+ * @returns {Promise<Object>} Report of updated bots and orphans on either side
+ */
+async function reconcileBots({ user } = {}) {
+  const report = {
+    checked: 0,
+    updated: [],
+    localOrphans: [],
+    remoteOrphans: [],
+    failed: [],
+  };
+
+  // Keys still stored on User move to a connection before accounts are listed
+  const legacyUsers = user
+    ? [user]
+    : await User.find({ binanceApiKey: { $ne: null } });
+  for (const legacyUser of legacyUsers) {
+    await ExchangeConnection.migrateLegacy(legacyUser);
+  }
+
+  const connections = await ExchangeConnection.find({
+    ...(user && { user: user._id }),
+    threeCommasAccountId: { $ne: null },
+  }).select("threeCommasAccountId");
+  const ownedAccounts = new Set(
+    connections.map((connection) => connection.threeCommasAccountId)
+  );
+
+  const [localBots, remoteBots] = await Promise.all([
+    Bot.find(user ? { user: user._id } : {}),
+    user
+      ? Promise.all([...ownedAccounts].map(fetchRemoteBots)).then((pages) =>
+          pages.flat()
+        )
+      : fetchRemoteBots(),
+  ]);
+
+  const remoteById = new Map(remoteBots.map((remote) => [remote.id, remote]));
+  const now = new Date();
+
+  for (const bot of localBots) {
+    report.checked += 1;
+
+    if (!bot.threeCommasBotId) {
+      report.localOrphans.push({ botId: bot._id, name: bot.name });
+      bot.set({
+        status: "error",
+        statusReason: "Bot is not linked to 3Commas",
+        orphaned: true,
+        reconciledAt: now,
+      });
+      await bot.save();
+      continue;
+    }
+
+    let remote = remoteById.get(bot.threeCommasBotId);
+    if (!remote) {
+      // Not in the listing; confirm before treating it as deleted
+      try {
+        const response = await threeCommas.get(
+          `/ver1/bots/${bot.threeCommasBotId}`
+        );
+        remote = response.data;
+      } catch (error) {
+        if (!(error instanceof ThreeCommasNotFoundError)) {
+          report.failed.push({ botId: bot._id, error: error.message });
+          continue;
+        }
+      }
+    }
+
+    const previous = bot.status;
+    const expected = expectedState(bot, remote);
+    bot.set({ ...expected, reconciledAt: now });
+
+    if (expected.orphaned) {
+      report.localOrphans.push({
+        botId: bot._id,
+        name: bot.name,
+        threeCommasBotId: bot.threeCommasBotId,
+      });
+    }
+    if (previous !== expected.status) {
+      report.updated.push({
+        botId: bot._id,
+        threeCommasBotId: bot.threeCommasBotId,
+        from: previous,
+        to: expected.status,
+        reason: expected.statusReason,
+      });
+    }
+
+    await bot.save();
+  }
+
+  // 3Commas bots on our users' accounts that have no local record
+  const linkedIds = new Set(localBots.map((bot) => bot.threeCommasBotId));
+  remoteBots
+    .filter((remote) => ownedAccounts.has(remote.account_id))
+    .filter((remote) => !linkedIds.has(remote.id))
+    .forEach((remote) =>
+      report.remoteOrphans.push({
+        threeCommasBotId: remote.id,
+        name: remote.name,
+        accountId: remote.account_id,
+        pairs: remote.pairs,
+        isEnabled: remote.is_enabled,
+      })
+    );
+
+  return report;
+}
+
+async function reconcileAllBots() {
+  const report = await reconcileBots();
+  console.log("🧭 Bot reconciliation finished:", {
+    checked: report.checked,
+    updated: report.updated.length,
+    localOrphans: report.localOrphans.length,
+    remoteOrphans: report.remoteOrphans.length,
+    failed: report.failed.length,
+  });
+  return report;
+}
+
+// Schedule reconcileAllBots on the configured interval
+function startReconciliation() {
+  return schedule(
+    "Bot reconciliation",
+    reconcileAllBots,
+    config.jobs.reconcile
+  );
+}
+
+module.exports = { reconcileBots, reconcileAllBots, startReconciliation };
@@ -0,0 +1,29 @@
+// Run a job now and then every `intervalMs`, never overlapping with itself
+function schedule(name, job, { enabled, intervalMs }) {
+  if (!enabled) {
+    console.log(`⏸️ ${name} disabled`);
+    return null;
+  }
+
+  let running = false;
+  const run = async () => {
+    if (running) {
+      console.warn(`⏭️ ${name} already running, skipping this run`);
+      return;
+    }
+    running = true;
+    try {
+      await job();
+    } catch (error) {
+      console.error(`❌ ${name} run failed:`, error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  console.log(`🔄 ${name} scheduled every ${intervalMs}ms`);
+  return setInterval(run, intervalMs);
+}
+
+module.exports = { schedule };